@@ -0,0 +1,279 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Operators run the show (start/stop, levels); admins also change configuration
+const ROLES = ['operator', 'admin'];
+
+const SESSION_COOKIE = 'nac_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Failed logins per IP before further attempts are refused for a while
+const MAX_LOGIN_FAILURES = 10;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+function checkPassword(password) {
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Dashboard users, stored locally with scrypt password hashes
+class UserStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.users = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading users:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.users, null, 2));
+    } catch (error) {
+      console.error('Error saving users:', error.message);
+    }
+  }
+
+  // Users without their password hashes
+  list() {
+    return this.users.map(({ passwordHash, ...user }) => user);
+  }
+
+  find(id) {
+    return this.users.find(u => u.id === id);
+  }
+
+  findByUsername(username) {
+    const name = String(username || '').toLowerCase();
+    return this.users.find(u => u.username.toLowerCase() === name);
+  }
+
+  countAdmins() {
+    return this.users.filter(u => u.role === 'admin').length;
+  }
+
+  create({ username, password, role }) {
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (this.findByUsername(username)) {
+      throw new Error('Username already exists');
+    }
+    checkPassword(password);
+
+    const user = {
+      id: crypto.randomUUID(),
+      username: username,
+      role: role,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    this.users.push(user);
+    this.save();
+
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  update(id, { password, role }) {
+    const user = this.find(id);
+    if (!user) {
+      return null;
+    }
+    if (password) {
+      checkPassword(password);
+    }
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+      }
+      if (user.role === 'admin' && role !== 'admin' && this.countAdmins() === 1) {
+        throw new Error('The last admin cannot be demoted');
+      }
+      user.role = role;
+    }
+    if (password) {
+      user.passwordHash = hashPassword(password);
+    }
+    this.save();
+
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  remove(id) {
+    const user = this.find(id);
+    if (!user) {
+      return false;
+    }
+    if (user.role === 'admin' && this.countAdmins() === 1) {
+      throw new Error('The last admin cannot be removed');
+    }
+    this.users = this.users.filter(u => u.id !== id);
+    this.save();
+    return true;
+  }
+
+  authenticate(username, password) {
+    const user = this.findByUsername(username);
+    if (!user || !verifyPassword(String(password || ''), user.passwordHash)) {
+      return null;
+    }
+    return user;
+  }
+}
+
+// Logged-in sessions, kept in memory (a restart logs everybody out). The
+// session token works as a cookie for the dashboard and as a Bearer token
+// for scripts.
+class SessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.loginFailures = new Map();
+  }
+
+  create(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, {
+      userId: user.id,
+      expiresAt: Date.now() + SESSION_TTL_MS
+    });
+    return token;
+  }
+
+  // Returns the session's user id, or null once it expired or was destroyed
+  get(token) {
+    const session = token && this.sessions.get(token);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session.userId;
+  }
+
+  // Like get(), extending the session on every use
+  touch(token) {
+    const userId = this.get(token);
+    if (userId) {
+      this.sessions.get(token).expiresAt = Date.now() + SESSION_TTL_MS;
+    }
+    return userId;
+  }
+
+  destroy(token) {
+    this.sessions.delete(token);
+  }
+
+  // Log a user out everywhere, e.g. after a password change or removal
+  destroyForUser(userId, exceptToken) {
+    for (const [token, session] of this.sessions) {
+      if (session.userId === userId && token !== exceptToken) {
+        this.sessions.delete(token);
+      }
+    }
+  }
+
+  isLockedOut(ip) {
+    const failures = this.loginFailures.get(ip);
+    if (!failures) {
+      return false;
+    }
+    if (failures.since + LOGIN_LOCKOUT_MS < Date.now()) {
+      this.loginFailures.delete(ip);
+      return false;
+    }
+    return failures.count >= MAX_LOGIN_FAILURES;
+  }
+
+  recordLoginFailure(ip) {
+    const failures = this.loginFailures.get(ip) || { count: 0, since: Date.now() };
+    failures.count++;
+    this.loginFailures.set(ip, failures);
+  }
+
+  clearLoginFailures(ip) {
+    this.loginFailures.delete(ip);
+  }
+}
+
+// Session token from the cookie or an "Authorization: Bearer" header
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  const cookies = req.headers.cookie || '';
+  for (const cookie of cookies.split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        // A malformed cookie is no session
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function sessionCookie(token, req) {
+  const attributes = [
+    `${SESSION_COOKIE}=${token}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${token ? SESSION_TTL_MS / 1000 : 0}`
+  ];
+  if (req.secure) {
+    attributes.push('Secure');
+  }
+  return attributes.join('; ');
+}
+
+module.exports = {
+  ROLES,
+  UserStore,
+  SessionStore,
+  hasRole,
+  getRequestToken,
+  sessionCookie
+};
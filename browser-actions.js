@@ -0,0 +1,411 @@
+// Browser automation steps for the translation page. A run executes the
+// steps in order and reports each one; a failing step marked `required`
+// aborts the run, any other failure is reported and the run carries on.
+//
+// Every step may have:
+//   delay       ms to wait before the step
+//   timeout     ms the step may take (also used for the waits inside it)
+//   retries     extra attempts after a failure, retryDelay ms apart
+//   required    abort the run (and the channel start) if the step fails
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRIES = 10;
+const CONDITION_POLL_MS = 250;
+
+// Waits for the page to load, as the initial navigation does
+const DEFAULT_WAIT_UNTIL = 'networkidle2';
+
+// Defaults for steps that usually take longer than the rest
+const TIMEOUT_DEFAULTS = {
+  wait: 30000,
+  navigate: 30000,
+  waitForNavigation: 30000,
+  waitForText: 30000,
+  reload: 30000
+};
+
+// Fields each step type needs
+const ACTION_FIELDS = {
+  click: [],
+  wait: [],
+  type: [],
+  script: ['code'],
+  navigate: ['url'],
+  select: ['selector', 'value'],
+  press: ['key'],
+  waitForNavigation: [],
+  waitForText: ['text'],
+  hover: ['selector'],
+  scroll: [],
+  reload: [],
+  if: ['condition']
+};
+
+const WAIT_UNTIL_VALUES = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Rejects if the promise hasn't settled within ms
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function describeStep(action) {
+  const target = action.selector || action.url || action.key || action.text;
+  return target ? `${action.type} ${target}` : action.type;
+}
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  const tests = ['selector', 'text', 'url'].filter(key => condition[key] !== undefined);
+  if (tests.length !== 1 || typeof condition[tests[0]] !== 'string' || condition[tests[0]] === '') {
+    errors.push(`${path} needs exactly one of selector, text or url`);
+  }
+  if (condition.timeout !== undefined && !(Number.isFinite(condition.timeout) && condition.timeout >= 0)) {
+    errors.push(`${path}.timeout must be a number of milliseconds`);
+  }
+}
+
+// Check a list of steps; returns the problems found, empty when it can run
+function validateActions(actions, prefix = 'browserActions') {
+  const errors = [];
+  if (!Array.isArray(actions)) {
+    return [`${prefix} must be a list of steps`];
+  }
+
+  actions.forEach((action, index) => {
+    const path = `${prefix}[${index}]`;
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    const fields = ACTION_FIELDS[action.type];
+    if (!fields) {
+      errors.push(`${path}.type must be one of ${Object.keys(ACTION_FIELDS).join(', ')} (got ${JSON.stringify(action.type)})`);
+      return;
+    }
+    fields.forEach(field => {
+      if (action[field] === undefined || action[field] === '') {
+        errors.push(`${path} (${action.type}) needs ${field}`);
+      }
+    });
+
+    if (action.type === 'type' && action.text === undefined && action.code === undefined) {
+      errors.push(`${path} (type) needs text`);
+    }
+    if (action.type === 'click' && !action.selector && (action.x === undefined || action.y === undefined)) {
+      errors.push(`${path} (click) needs a selector or x and y`);
+    }
+    ['delay', 'timeout', 'retryDelay', 'duration'].forEach(field => {
+      if (action[field] !== undefined && !(Number.isFinite(action[field]) && action[field] >= 0)) {
+        errors.push(`${path}.${field} must be a number of milliseconds`);
+      }
+    });
+    if (action.retries !== undefined && !(Number.isInteger(action.retries) && action.retries >= 0 && action.retries <= MAX_RETRIES)) {
+      errors.push(`${path}.retries must be a whole number from 0 to ${MAX_RETRIES}`);
+    }
+    if (action.waitUntil !== undefined && !WAIT_UNTIL_VALUES.includes(action.waitUntil)) {
+      errors.push(`${path}.waitUntil must be one of ${WAIT_UNTIL_VALUES.join(', ')}`);
+    }
+
+    if (action.type === 'if') {
+      validateCondition(action.condition, `${path}.condition`, errors);
+      ['then', 'else'].forEach(branch => {
+        if (action[branch] !== undefined) {
+          errors.push(...validateActions(action[branch], `${path}.${branch}`));
+        }
+      });
+    }
+  });
+  return errors;
+}
+
+// Whether the condition of an `if` step holds, waiting up to its timeout
+// for it to become true
+async function checkCondition(page, condition) {
+  const test = () => {
+    if (condition.selector) {
+      return page.$(condition.selector).then(Boolean);
+    }
+    if (condition.text) {
+      return page.evaluate(text => !!document.body && document.body.innerText.includes(text), condition.text);
+    }
+    return Promise.resolve(page.url().includes(condition.url));
+  };
+
+  const deadline = Date.now() + (condition.timeout || 0);
+  let matched = await test();
+  while (!matched && Date.now() < deadline) {
+    await sleep(CONDITION_POLL_MS);
+    matched = await test();
+  }
+  return condition.not ? !matched : matched;
+}
+
+// Press a key or a combination like "Control+A"
+async function pressKeys(page, combination) {
+  const keys = combination.split('+');
+  const key = keys.pop();
+  for (const modifier of keys) {
+    await page.keyboard.down(modifier);
+  }
+  await page.keyboard.press(key);
+  for (const modifier of keys.reverse()) {
+    await page.keyboard.up(modifier);
+  }
+}
+
+// Run a step that triggers a page load (`navigates: true`) together with
+// the wait for it, so the navigation can't finish before the wait starts
+async function maybeNavigating(page, action, timeout, run) {
+  if (!action.navigates) {
+    return run();
+  }
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: action.waitUntil || DEFAULT_WAIT_UNTIL, timeout: timeout }),
+    run()
+  ]);
+}
+
+async function runStep(page, action, timeout) {
+  const { selector } = action;
+  const waitUntil = action.waitUntil || DEFAULT_WAIT_UNTIL;
+
+  switch (action.type) {
+    case 'click':
+      if (selector) {
+        await page.waitForSelector(selector, { timeout: timeout });
+        return maybeNavigating(page, action, timeout, () => page.click(selector));
+      }
+      return maybeNavigating(page, action, timeout, () => page.mouse.click(action.x, action.y));
+
+    case 'wait':
+      if (selector) {
+        await page.waitForSelector(selector, { timeout: timeout });
+      } else if (action.duration) {
+        await sleep(action.duration);
+      }
+      return;
+
+    case 'type': {
+      // `code` held the text in older configurations
+      const text = String(action.text !== undefined ? action.text : action.code);
+      if (selector) {
+        await page.waitForSelector(selector, { timeout: timeout });
+        await page.type(selector, text);
+      } else {
+        await page.keyboard.type(text);
+      }
+      return;
+    }
+
+    case 'script':
+      return maybeNavigating(page, action, timeout, () => page.evaluate(action.code));
+
+    case 'navigate':
+      await page.goto(action.url, { waitUntil: waitUntil, timeout: timeout });
+      return;
+
+    case 'select': {
+      await page.waitForSelector(selector, { timeout: timeout });
+      const values = [].concat(action.value).map(String);
+      const selected = await page.select(selector, ...values);
+      if (selected.length === 0) {
+        throw new Error(`No option with the value ${values.join(', ')}`);
+      }
+      return;
+    }
+
+    case 'press':
+      if (selector) {
+        await page.waitForSelector(selector, { timeout: timeout });
+        await page.focus(selector);
+      }
+      return maybeNavigating(page, action, timeout, () => pressKeys(page, action.key));
+
+    case 'waitForNavigation':
+      await page.waitForNavigation({ waitUntil: waitUntil, timeout: timeout });
+      return;
+
+    case 'waitForText':
+      await page.waitForFunction((text, scope) => {
+        const root = scope ? document.querySelector(scope) : document.body;
+        return !!root && root.innerText.includes(text);
+      }, { timeout: timeout }, action.text, selector || null);
+      return;
+
+    case 'hover':
+      await page.waitForSelector(selector, { timeout: timeout });
+      await page.hover(selector);
+      return;
+
+    case 'scroll':
+      if (selector) {
+        await page.waitForSelector(selector, { timeout: timeout });
+        await page.$eval(selector, element => element.scrollIntoView({ block: 'center' }));
+      } else {
+        await page.evaluate((x, y) => window.scrollBy(x, y), action.x || 0, action.y || 0);
+      }
+      return;
+
+    case 'reload':
+      await page.reload({ waitUntil: waitUntil, timeout: timeout });
+      return;
+
+    default:
+      throw new Error(`Unknown action type: ${action.type}`);
+  }
+}
+
+// Run one step with its retries. Resolves with its report entry:
+// { step, type, success, durationMs, attempts, error }, plus the branch
+// taken and its steps for `if` steps.
+async function runAction(page, action, step) {
+  const started = Date.now();
+  const result = { step: step, type: action.type, success: false, durationMs: 0, attempts: 0, error: null };
+
+  if (action.delay) {
+    await sleep(action.delay);
+  }
+
+  if (action.type === 'if') {
+    try {
+      result.condition = await checkCondition(page, action.condition);
+      const branch = await runActions(page, (result.condition ? action.then : action.else) || [], `${step}.`);
+      result.success = branch.success;
+      result.aborted = branch.aborted;
+      result.error = branch.error;
+      result.steps = branch.steps;
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.durationMs = Date.now() - started;
+    return result;
+  }
+
+  const timeout = action.timeout || TIMEOUT_DEFAULTS[action.type] || DEFAULT_TIMEOUT_MS;
+  // A plain wait takes its duration, whatever the timeout
+  const limit = action.type === 'wait' && !action.selector && action.duration ? Math.max(timeout, action.duration) : timeout;
+  const attempts = 1 + (action.retries || 0);
+  while (result.attempts < attempts && !result.success) {
+    result.attempts++;
+    try {
+      await withTimeout(runStep(page, action, timeout), limit);
+      result.success = true;
+      result.error = null;
+    } catch (error) {
+      result.error = error.message;
+      if (result.attempts < attempts) {
+        await sleep(action.retryDelay !== undefined ? action.retryDelay : DEFAULT_RETRY_DELAY_MS);
+      }
+    }
+  }
+
+  result.durationMs = Date.now() - started;
+  const outcome = result.success ? 'done' : `failed: ${result.error}`;
+  console.log(`[Browser] Step ${step} (${describeStep(action)}) ${outcome} in ${result.durationMs}ms`);
+  return result;
+}
+
+// Run steps in order. Resolves with { success, aborted, error, durationMs,
+// steps }: aborted when a required step failed, error describing that step's
+// failure or else the first one.
+async function runActions(page, actions, prefix = '') {
+  const started = Date.now();
+  const report = { success: true, aborted: false, error: null, durationMs: 0, steps: [] };
+
+  for (let index = 0; index < actions.length; index++) {
+    const action = actions[index];
+    const result = await runAction(page, action, `${prefix}${index + 1}`);
+    report.steps.push(result);
+
+    if (!result.success) {
+      report.success = false;
+      const error = result.steps ? result.error : `Step ${result.step} (${action.type}) failed: ${result.error}`;
+      if (action.required || result.aborted) {
+        report.aborted = true;
+        report.error = error;
+        break;
+      }
+      report.error = report.error || error;
+    }
+  }
+
+  report.durationMs = Date.now() - started;
+  return report;
+}
+
+// A CSS selector for the element at a point (`point` given) or the focused
+// element: its id if that is unique, otherwise a path of tag names from the
+// nearest element with one
+function selectorInPage(point) {
+  let element = point ? document.elementFromPoint(point.x, point.y) : document.activeElement;
+  if (!element || element === document.body || element === document.documentElement) {
+    return null;
+  }
+
+  const parts = [];
+  while (element && element !== document.body && element.parentElement) {
+    if (element.id && document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(element.id)}`);
+      return parts.join(' > ');
+    }
+    const tag = element.tagName.toLowerCase();
+    const siblings = Array.from(element.parentElement.children).filter(sibling => sibling.tagName === element.tagName);
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(element) + 1})` : tag);
+    element = element.parentElement;
+  }
+  return ['body', ...parts].join(' > ');
+}
+
+// Turn an interaction on the dashboard preview into the step that repeats
+// it: { kind: 'click', x, y }, { kind: 'type', text }, { kind: 'press', key }
+// or { kind: 'scroll', x, y } (a scroll by x/y pixels). Clicks and typing
+// target the element under the pointer or in focus where a selector for it
+// can be found, so the step still works when the layout changes.
+async function stepFromInput(page, input) {
+  switch (input && input.kind) {
+    case 'click': {
+      const x = Math.round(Number(input.x));
+      const y = Math.round(Number(input.y));
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error('A click needs x and y');
+      }
+      const selector = await page.evaluate(selectorInPage, { x: x, y: y });
+      return selector ? { type: 'click', selector: selector } : { type: 'click', x: x, y: y };
+    }
+    case 'type': {
+      if (typeof input.text !== 'string' || input.text === '') {
+        throw new Error('Typing needs text');
+      }
+      const selector = await page.evaluate(selectorInPage, null);
+      return selector ? { type: 'type', selector: selector, text: input.text } : { type: 'type', text: input.text };
+    }
+    case 'press':
+      if (typeof input.key !== 'string' || input.key === '') {
+        throw new Error('A key press needs a key');
+      }
+      return { type: 'press', key: input.key };
+    case 'scroll':
+      return { type: 'scroll', x: Math.round(Number(input.x) || 0), y: Math.round(Number(input.y) || 0) };
+    default:
+      throw new Error('Input kind must be one of click, type, press, scroll');
+  }
+}
+
+module.exports = {
+  runActions,
+  validateActions,
+  stepFromInput
+};
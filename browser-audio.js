@@ -1,28 +1,62 @@
+const EventEmitter = require('events');
 const puppeteer = require('puppeteer');
-const fs = require('fs');
-const path = require('path');
-const { spawn } = require('child_process');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { runActions, stepFromInput } = require('./browser-actions');
+const BrowserWatchdog = require('./browser-watchdog');
+
+const execFileAsync = promisify(execFile);
+
+// Screencast frames for the dashboard preview: JPEG, at most this size
+const PREVIEW_OPTIONS = { format: 'jpeg', quality: 60, maxWidth: 1280, maxHeight: 720 };
+
+// FFmpeg input ({ input, format }) for a virtual audio device, read
+// directly so the audio stays a continuous live feed
+function deviceInput(deviceName) {
+  // Detect OS and use appropriate audio capture
+  const platform = process.platform;
+
+  if (platform === 'darwin') {
+    // macOS - use avfoundation (audio-only input)
+    return { input: `:${deviceName}`, format: 'avfoundation' };
+  } else if (platform === 'linux') {
+    // Linux - use PulseAudio
+    return { input: deviceName, format: 'pulse' };
+  }
+
+  throw new Error(`Unsupported platform for device capture: ${platform}`);
+}
 
-class BrowserAudioCapture {
+// Each capture gets its own PulseAudio null sink so several browsers can run
+// side by side without hearing each other.
+let sinkCounter = 0;
+
+// Events: 'actionsFailed' ({ report }) when the page setup's automation
+// steps had a failure, whether or not it aborted the setup
+class BrowserAudioCapture extends EventEmitter {
   constructor() {
+    super();
     this.browser = null;
     this.page = null;
     this.isRunning = false;
-    this.audioOutputPath = path.join(__dirname, 'audio-temp', 'browser-audio.wav');
-    this.ffmpegProcess = null;
-    this.audioStream = null;
+    this.sinkName = null;
+    this.sinkModuleId = null;
+    this.lastActionReport = null;
+    this.watchdog = new BrowserWatchdog(this);
+    this.previewViewers = new Set();
+    this.screencast = null;
   }
 
   async init(config) {
     try {
+      // A browser or sink of an earlier init would be left running otherwise
+      if (this.browser || this.sinkModuleId) {
+        await this.cleanup();
+      }
+
       // Store config
       this.config = config;
-
-      // Ensure audio-temp directory exists
-      const audioTempDir = path.join(__dirname, 'audio-temp');
-      if (!fs.existsSync(audioTempDir)) {
-        fs.mkdirSync(audioTempDir, { recursive: true });
-      }
+      this.lastActionReport = null;
 
       // Skip browser launch if using direct URL mode
       if (config.mode === 'url') {
@@ -31,65 +65,23 @@ class BrowserAudioCapture {
         return true;
       }
 
-      console.log('Launching browser...');
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--autoplay-policy=no-user-gesture-required',
-          '--use-fake-ui-for-media-stream',
-          '--use-fake-device-for-media-stream',
-          '--allow-file-access-from-files',
-          '--disable-web-security',
-          '--enable-features=AudioServiceOutOfProcess'
-        ]
-      });
-
-      this.page = await this.browser.newPage();
+      // Route the browser's audio into a private sink we can record from
+      if (config.mode !== 'device') {
+        await this.createSink();
+      }
 
-      // Set viewport
-      await this.page.setViewport({
-        width: config.width || 1920,
-        height: config.height || 1080
-      });
+      await this.launchBrowser();
+      await this.openPage();
 
-      // Enable audio capture
-      await this.page.evaluateOnNewDocument(() => {
-        navigator.mediaDevices.getUserMedia = navigator.mediaDevices.getUserMedia ||
-          navigator.webkitGetUserMedia ||
-          navigator.mozGetUserMedia;
-      });
+      this.isRunning = true;
+      console.log('Browser audio capture initialized successfully');
 
-      // Only navigate if URL is provided
+      // Keep an eye on the page once it is set up
       if (config.url && config.url.trim() !== '') {
-        console.log(`Navigating to ${config.url}...`);
-        await this.page.goto(config.url, {
-          waitUntil: 'networkidle2',
-          timeout: 30000
-        });
-
-        // Inject custom JavaScript if provided
-        if (config.customJs) {
-          console.log('Injecting custom JavaScript...');
-          await this.page.evaluate(config.customJs);
-        }
-
-        // Execute browser automation actions
-        if (config.actions && config.actions.length > 0) {
-          console.log(`Executing ${config.actions.length} browser actions...`);
-          for (const action of config.actions) {
-            await this.executeAction(action);
-          }
-        }
-      } else {
-        console.log('No browser URL provided - browser launched but not navigating');
+        this.watchdog.configure(config.watchdog);
+        this.watchdog.start();
       }
 
-      this.isRunning = true;
-      console.log('Browser audio capture initialized successfully');
-
       return true;
     } catch (error) {
       console.error('Failed to initialize browser audio capture:', error);
@@ -98,58 +90,213 @@ class BrowserAudioCapture {
     }
   }
 
-  async executeAction(action) {
-    try {
-      const { type, selector, delay, x, y, code } = action;
+  async launchBrowser() {
+    const launchEnv = { ...process.env };
+    if (this.sinkName) {
+      launchEnv.PULSE_SINK = this.sinkName;
+    }
+
+    console.log('Launching browser...');
+    this.browser = await puppeteer.launch({
+      headless: 'new',
+      env: launchEnv,
+      // Puppeteer mutes headless Chrome by default, which would leave the sink silent
+      ignoreDefaultArgs: ['--mute-audio'],
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--autoplay-policy=no-user-gesture-required',
+        '--use-fake-ui-for-media-stream',
+        '--use-fake-device-for-media-stream',
+        '--allow-file-access-from-files',
+        '--disable-web-security',
+        '--enable-features=AudioServiceOutOfProcess'
+      ]
+    });
+  }
+
+  async openPage() {
+    const config = this.config;
+    this.page = await this.browser.newPage();
+
+    // Set viewport
+    await this.page.setViewport({
+      width: config.width || 1920,
+      height: config.height || 1080
+    });
+
+    // Enable audio capture
+    await this.page.evaluateOnNewDocument(() => {
+      navigator.mediaDevices.getUserMedia = navigator.mediaDevices.getUserMedia ||
+        navigator.webkitGetUserMedia ||
+        navigator.mozGetUserMedia;
+    });
+
+    // Only navigate if URL is provided
+    if (config.url && config.url.trim() !== '') {
+      console.log(`Navigating to ${config.url}...`);
+      await this.page.goto(config.url, {
+        waitUntil: 'networkidle2',
+        timeout: 30000
+      });
+      await this.runPageSetup();
+    } else {
+      console.log('No browser URL provided - browser launched but not navigating');
+    }
 
-      // Wait before action if delay specified
-      if (delay) {
-        await new Promise(resolve => setTimeout(resolve, delay));
+    if (this.previewViewers.size > 0) {
+      await this.startScreencast();
+    }
+  }
+
+  // Custom JavaScript and automation steps, run after every page load. A
+  // failed required step fails the setup, with the report attached to the
+  // error.
+  async runPageSetup() {
+    const config = this.config;
+    if (config.customJs) {
+      console.log('Injecting custom JavaScript...');
+      await this.page.evaluate(config.customJs);
+    }
+
+    if (config.actions && config.actions.length > 0) {
+      const report = await this.runActions(config.actions);
+      if (!report.success) {
+        this.emit('actionsFailed', { report: report });
       }
+      if (report.aborted) {
+        const error = new Error(`Browser automation failed: ${report.error}`);
+        error.actionReport = report;
+        throw error;
+      }
+    }
+  }
+
+  async reload() {
+    if (!this.page) {
+      throw new Error('Browser not running');
+    }
 
-      switch (type) {
-        case 'click':
-          if (selector) {
-            console.log(`Clicking element: ${selector}`);
-            await this.page.waitForSelector(selector, { timeout: 10000 });
-            await this.page.click(selector);
-          } else if (x !== undefined && y !== undefined) {
-            console.log(`Clicking at coordinates: (${x}, ${y})`);
-            await this.page.mouse.click(x, y);
-          }
-          break;
-
-        case 'wait':
-          if (selector) {
-            console.log(`Waiting for element: ${selector}`);
-            await this.page.waitForSelector(selector, { timeout: 30000 });
-          }
-          break;
-
-        case 'type':
-          if (selector && code) {
-            console.log(`Typing into element: ${selector}`);
-            await this.page.waitForSelector(selector, { timeout: 10000 });
-            await this.page.type(selector, code);
-          }
-          break;
-
-        case 'script':
-          if (code) {
-            console.log('Executing custom script');
-            await this.page.evaluate(code);
-          }
-          break;
+    console.log('Reloading the page...');
+    await this.page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
+    await this.runPageSetup();
+  }
 
-        default:
-          console.warn(`Unknown action type: ${type}`);
+  // Start a fresh browser on the same sink, so whatever records the sink
+  // keeps working
+  async relaunch() {
+    if (!this.isRunning) {
+      throw new Error('Browser not running');
+    }
+
+    console.log('Relaunching the browser...');
+    await this.closeBrowser();
+    await this.launchBrowser();
+    await this.openPage();
+    await this.resumeMedia();
+  }
+
+  // Unmute and play the page's audio/video elements
+  async resumeMedia() {
+    if (!this.page) {
+      throw new Error('Browser not running');
+    }
+
+    await this.page.evaluate(() => {
+      const mediaElements = document.querySelectorAll('audio, video');
+      mediaElements.forEach(el => {
+        el.muted = false;
+        el.volume = 1.0;
+        if (el.paused) {
+          el.play().catch(e => console.log('Could not autoplay:', e));
+        }
+      });
+    });
+  }
+
+  // Watch the page live. listener is called with every frame ({ data, width,
+  // height }: a base64 JPEG and the page size it shows, in CSS pixels) while
+  // the browser runs, this one and later ones. Returns a function that
+  // removes the viewer again.
+  addPreviewViewer(listener) {
+    this.previewViewers.add(listener);
+    if (this.page) {
+      this.startScreencast();
+    }
+
+    return () => {
+      this.previewViewers.delete(listener);
+      if (this.previewViewers.size === 0) {
+        this.stopScreencast();
       }
+    };
+  }
+
+  // Resolves with the screencast's CDP session, or null if it failed.
+  // Viewers share one screencast.
+  startScreencast() {
+    if (!this.screencast) {
+      this.screencast = this.openScreencast(this.page).catch(error => {
+        console.error('Failed to start the browser preview:', error.message);
+        return null;
+      });
+    }
+    return this.screencast;
+  }
+
+  async openScreencast(page) {
+    const session = await page.target().createCDPSession();
+    session.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+      session.send('Page.screencastFrameAck', { sessionId: sessionId }).catch(() => {});
+      const frame = { data: data, width: metadata.deviceWidth, height: metadata.deviceHeight };
+      this.previewViewers.forEach(listener => listener(frame));
+    });
+    await session.send('Page.startScreencast', PREVIEW_OPTIONS);
+    return session;
+  }
+
+  async stopScreencast() {
+    const pending = this.screencast;
+    this.screencast = null;
+    const session = pending ? await pending : null;
+    if (!session) {
+      return;
+    }
+
+    try {
+      await session.send('Page.stopScreencast');
+      await session.detach();
     } catch (error) {
-      console.error(`Failed to execute action:`, error);
-      // Continue with other actions even if one fails
+      // The page is already gone
     }
   }
 
+  // Repeat an interaction from the preview on the page (see stepFromInput).
+  // Resolves with the step it ran, for recording, and the run's report.
+  async runPreviewInput(input) {
+    if (!this.page) {
+      throw new Error('Browser not running');
+    }
+
+    const step = await stepFromInput(this.page, input);
+    const report = await runActions(this.page, [step]);
+    return { step: step, report: report };
+  }
+
+  // Run automation steps on the page (see browser-actions.js) and keep the
+  // report for the status
+  async runActions(actions) {
+    if (!this.page) {
+      throw new Error('Browser not running');
+    }
+
+    console.log(`Executing ${actions.length} browser actions...`);
+    const report = await runActions(this.page, actions);
+    this.lastActionReport = { ...report, ranAt: new Date().toISOString() };
+    return report;
+  }
+
   async getAudioStream() {
     if (!this.isRunning) {
       throw new Error('Browser audio capture not initialized');
@@ -176,131 +323,79 @@ class BrowserAudioCapture {
     }
   }
 
+  // Returns an FFmpeg input ({ input, format }) for the virtual device
   async captureFromDevice() {
     const deviceName = this.config.deviceName;
     console.log(`Capturing audio from device: ${deviceName}`);
+    return deviceInput(deviceName);
+  }
 
-    // Detect OS and use appropriate audio capture
-    const platform = process.platform;
-    let audioArgs = [];
-
-    if (platform === 'darwin') {
-      // macOS - use avfoundation
-      audioArgs = [
-        '-f', 'avfoundation',
-        '-i', `:${deviceName}`, // Audio-only input
-        '-acodec', 'pcm_s16le',
-        '-ar', '48000',
-        '-ac', '2',
-        '-y',
-        this.audioOutputPath
-      ];
-    } else if (platform === 'linux') {
-      // Linux - use PulseAudio
-      audioArgs = [
-        '-f', 'pulse',
-        '-i', deviceName,
-        '-acodec', 'pcm_s16le',
-        '-ar', '48000',
-        '-ac', '2',
-        '-y',
-        this.audioOutputPath
-      ];
-    } else {
-      throw new Error(`Unsupported platform for device capture: ${platform}`);
+  // Returns the monitor of this browser's private sink as a live FFmpeg input
+  async captureFromBrowser() {
+    if (!this.page) {
+      throw new Error('Browser not initialized');
+    }
+    if (!this.sinkName) {
+      throw new Error('No PulseAudio sink attached to the browser');
     }
 
-    return new Promise((resolve, reject) => {
-      this.ffmpegProcess = spawn('ffmpeg', audioArgs);
+    console.log('Starting browser audio capture...');
 
-      this.ffmpegProcess.stderr.on('data', (data) => {
-        // Log FFmpeg output for debugging
-        const msg = data.toString();
-        if (msg.includes('error') || msg.includes('Error')) {
-          console.error('FFmpeg error:', msg);
-        }
-      });
+    // Keep the page treated as foreground so timers and media keep running
+    const client = await this.page.target().createCDPSession();
+    await client.send('Page.setWebLifecycleState', { state: 'active' });
+    await client.detach();
 
-      this.ffmpegProcess.on('error', (err) => {
-        console.error('FFmpeg process error:', err);
-        reject(err);
-      });
+    // Make sure any audio/video elements are actually playing
+    await this.resumeMedia();
 
-      // Wait for file to be created and have some data
-      setTimeout(() => {
-        if (fs.existsSync(this.audioOutputPath)) {
-          console.log('Device audio capture started successfully');
-          resolve(this.audioOutputPath);
-        } else {
-          console.warn('Could not capture from device, returning null');
-          resolve(null);
-        }
-      }, 2000);
-    });
+    console.log(`Browser audio available on ${this.sinkName}.monitor`);
+    return { input: `${this.sinkName}.monitor`, format: 'pulse' };
   }
 
-  async captureFromBrowser() {
-    if (!this.page) {
-      throw new Error('Browser not initialized');
+  // Start the PulseAudio daemon if nothing is answering yet
+  async ensurePulseAudio() {
+    if (process.platform !== 'linux') {
+      throw new Error('Browser audio capture requires PulseAudio (Linux). Use device mode on other platforms.');
     }
 
-    console.log('Starting browser audio capture...');
-
     try {
-      // Get CDP session
-      const client = await this.page.target().createCDPSession();
-
-      // Start capturing audio
-      await client.send('Page.setWebLifecycleState', { state: 'active' });
-
-      // Inject audio capture script
-      await this.page.evaluate(() => {
-        return new Promise((resolve) => {
-          // Try to find and play any audio/video elements
-          const mediaElements = document.querySelectorAll('audio, video');
-          mediaElements.forEach(el => {
-            el.muted = false;
-            el.volume = 1.0;
-            if (el.paused) {
-              el.play().catch(e => console.log('Could not autoplay:', e));
-            }
-          });
-          resolve(true);
-        });
-      });
+      await execFileAsync('pactl', ['info']);
+    } catch (error) {
+      console.log('PulseAudio not running, starting daemon...');
+      await execFileAsync('pulseaudio', ['--start', '--exit-idle-time=-1']);
+    }
+  }
 
-      // Generate silent placeholder for now
-      console.log('Generating silent audio placeholder...');
-
-      return new Promise((resolve, reject) => {
-        this.ffmpegProcess = spawn('ffmpeg', [
-          '-f', 'lavfi',
-          '-i', 'anullsrc=r=48000:cl=stereo',
-          '-t', '3600', // 1 hour
-          '-y',
-          this.audioOutputPath
-        ]);
-
-        this.ffmpegProcess.on('error', (err) => {
-          console.error('FFmpeg audio generation error:', err);
-          reject(err);
-        });
-
-        setTimeout(() => {
-          if (fs.existsSync(this.audioOutputPath)) {
-            console.log('Browser audio file ready (silent placeholder)');
-            resolve(this.audioOutputPath);
-          } else {
-            console.warn('Could not create audio file, returning null');
-            resolve(null);
-          }
-        }, 1000);
-      });
+  async createSink() {
+    await this.ensurePulseAudio();
+
+    const sinkName = `nac_browser_${process.pid}_${++sinkCounter}`;
+    const { stdout } = await execFileAsync('pactl', [
+      'load-module',
+      'module-null-sink',
+      `sink_name=${sinkName}`,
+      `sink_properties=device.description=${sinkName}`
+    ]);
+
+    this.sinkName = sinkName;
+    this.sinkModuleId = stdout.trim();
+    console.log(`Created PulseAudio sink ${sinkName} (module ${this.sinkModuleId})`);
+  }
+
+  async removeSink() {
+    if (!this.sinkModuleId) {
+      return;
+    }
 
+    try {
+      await execFileAsync('pactl', ['unload-module', this.sinkModuleId]);
+      console.log(`Removed PulseAudio sink ${this.sinkName}`);
     } catch (error) {
-      console.error('Failed to capture browser audio:', error);
-      return null;
+      console.error('Error removing PulseAudio sink:', error.message);
     }
+    this.sinkName = null;
+    this.sinkModuleId = null;
   }
 
   async updateConfig(config) {
@@ -319,9 +414,7 @@ class BrowserAudioCapture {
 
     // Execute new actions if provided
     if (config.actions && config.actions.length > 0) {
-      for (const action of config.actions) {
-        await this.executeAction(action);
-      }
+      await this.runActions(config.actions);
     }
 
     return true;
@@ -329,17 +422,17 @@ class BrowserAudioCapture {
 
   async cleanup() {
     console.log('Cleaning up browser audio capture...');
+    await this.watchdog.stop();
     this.isRunning = false;
 
-    // Kill FFmpeg process
-    if (this.ffmpegProcess) {
-      try {
-        this.ffmpegProcess.kill('SIGTERM');
-        this.ffmpegProcess = null;
-      } catch (error) {
-        console.error('Error killing FFmpeg process:', error);
-      }
-    }
+    await this.closeBrowser();
+
+    // Remove the sink only after Chrome has let go of it
+    await this.removeSink();
+  }
+
+  async closeBrowser() {
+    await this.stopScreencast();
 
     if (this.page) {
       try {
@@ -358,24 +451,20 @@ class BrowserAudioCapture {
       }
       this.browser = null;
     }
-
-    // Clean up audio file
-    if (fs.existsSync(this.audioOutputPath)) {
-      try {
-        fs.unlinkSync(this.audioOutputPath);
-      } catch (error) {
-        console.error('Error deleting audio file:', error);
-      }
-    }
   }
 
   getStatus() {
     return {
       isRunning: this.isRunning,
       hasPage: !!this.page,
-      hasBrowser: !!this.browser
+      hasBrowser: !!this.browser,
+      audioSink: this.sinkName,
+      lastActions: this.lastActionReport,
+      watchdog: this.watchdog.getStatus(),
+      previewViewers: this.previewViewers.size
     };
   }
 }
 
-module.exports = BrowserAudioCapture;
\ No newline at end of file
+module.exports = BrowserAudioCapture;
+module.exports.deviceInput = deviceInput;
@@ -0,0 +1,284 @@
+const EventEmitter = require('events');
+
+const EVENT_HISTORY = 20;
+
+// A page that takes longer than this to answer counts as hung
+const RESPONSE_TIMEOUT_MS = 5000;
+
+// Checks that fail in a row before healing starts, so a page that is
+// briefly buffering isn't reloaded
+const FAILURES_BEFORE_HEALING = 2;
+
+// Relaunches without a healthy check in between before giving up
+const MAX_RELAUNCHES = 3;
+
+// Healing steps, mildest first. Every failed check after the first
+// FAILURES_BEFORE_HEALING moves one step up; the last one repeats.
+const HEALING_STEPS = ['actions', 'reload', 'relaunch'];
+
+// A healing step still busy after this long is cancelled: its page (or, for
+// a relaunch, its browser) is closed so it can't go on beside the next step
+const HEAL_TIMEOUT_MS = 120000;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.timedOut = true;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Periodically checks the translation page of a BrowserAudioCapture: the
+// page still answers, its media elements are playing and the expected
+// selectors exist. When it isn't healthy it escalates from re-running the
+// automation steps to reloading the page to relaunching the browser.
+//
+// Events: 'unhealthy' ({ problems }), 'heal' ({ step, attempt }),
+// 'recovered' ({ after }) and 'gaveUp' ({ relaunches })
+class BrowserWatchdog extends EventEmitter {
+  constructor(capture) {
+    super();
+    this.capture = capture;
+    this.enabled = true;
+    this.intervalMs = 15000;
+    // Media that has to be playing. The default only checks media the page
+    // happens to have; an explicit selector also requires it to exist.
+    this.mediaSelector = '';
+    this.selectors = [];
+
+    this.active = false;
+    this.timer = null;
+    this.running = null;
+    this.reset();
+  }
+
+  configure(options = {}) {
+    if (options.enabled !== undefined) {
+      this.enabled = options.enabled;
+    }
+    if (options.intervalMs !== undefined) {
+      this.intervalMs = options.intervalMs;
+    }
+    if (options.mediaSelector !== undefined) {
+      this.mediaSelector = options.mediaSelector.trim();
+    }
+    if (options.selectors !== undefined) {
+      this.selectors = options.selectors;
+    }
+  }
+
+  reset() {
+    this.healthy = null;
+    this.problems = [];
+    this.failures = 0;
+    this.step = 0;
+    this.relaunches = 0;
+    this.gaveUp = false;
+    this.lastCheckAt = null;
+    this.healCount = 0;
+    this.events = [];
+  }
+
+  start() {
+    this.stopTimer();
+    this.reset();
+    if (!this.enabled) {
+      return;
+    }
+    this.active = true;
+    this.scheduleCheck();
+  }
+
+  // Resolves once a check or healing step in progress has finished, so
+  // the browser can be closed safely
+  async stop() {
+    this.active = false;
+    this.stopTimer();
+    if (this.running) {
+      await this.running;
+    }
+  }
+
+  stopTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleCheck() {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.running = this.tick().finally(() => {
+        this.running = null;
+        if (this.active) {
+          this.scheduleCheck();
+        }
+      });
+    }, this.intervalMs);
+  }
+
+  record(type, message) {
+    this.events.push({ at: new Date().toISOString(), type: type, message: message });
+    if (this.events.length > EVENT_HISTORY) {
+      this.events.shift();
+    }
+  }
+
+  // Problems with the page, empty when it is healthy
+  async check() {
+    const { page, browser } = this.capture;
+    if (!browser || !browser.isConnected()) {
+      return ['The browser is not running'];
+    }
+    if (!page || page.isClosed()) {
+      return ['The page is closed'];
+    }
+
+    let state;
+    try {
+      state = await withTimeout(page.evaluate((mediaSelector, selectors) => {
+        const media = Array.from(document.querySelectorAll(mediaSelector || 'audio, video'));
+        return {
+          media: media.length,
+          playing: media.filter(el => !el.paused && !el.ended && el.readyState >= 2).length,
+          missing: selectors.filter(selector => !document.querySelector(selector))
+        };
+      }, this.mediaSelector, this.selectors), RESPONSE_TIMEOUT_MS, `The page did not respond within ${RESPONSE_TIMEOUT_MS}ms`);
+    } catch (error) {
+      return [error.message];
+    }
+
+    const problems = state.missing.map(selector => `${selector} is missing`);
+    if (this.mediaSelector && state.media === 0) {
+      problems.push(`No media element matches ${this.mediaSelector}`);
+    } else if (state.media > 0 && state.playing === 0) {
+      problems.push(state.media === 1 ? 'The media element is not playing' : `None of the ${state.media} media elements is playing`);
+    }
+    return problems;
+  }
+
+  async tick() {
+    const problems = await this.check();
+    this.lastCheckAt = new Date().toISOString();
+    this.problems = problems;
+
+    if (problems.length === 0) {
+      if (this.healthy === false) {
+        const after = this.lastStep;
+        const message = after ? `Recovered after ${after}` : 'Recovered';
+        console.log(`[Watchdog] ${message}`);
+        this.record('recovered', message);
+        this.emit('recovered', { after: after });
+      }
+      this.healthy = true;
+      this.failures = 0;
+      this.step = 0;
+      this.relaunches = 0;
+      this.gaveUp = false;
+      return;
+    }
+
+    if (this.healthy !== false) {
+      console.warn(`[Watchdog] Page unhealthy: ${problems.join('; ')}`);
+      this.record('unhealthy', problems.join('; '));
+      this.emit('unhealthy', { problems: problems });
+    }
+    this.healthy = false;
+    this.failures++;
+
+    if (this.gaveUp || !this.active || this.failures < FAILURES_BEFORE_HEALING) {
+      return;
+    }
+    if (this.relaunches >= MAX_RELAUNCHES) {
+      const message = `Gave up after ${this.relaunches} browser relaunches`;
+      console.error(`[Watchdog] ${message}`);
+      this.gaveUp = true;
+      this.record('gaveUp', message);
+      this.emit('gaveUp', { relaunches: this.relaunches });
+      return;
+    }
+
+    await this.heal();
+  }
+
+  async heal() {
+    const step = HEALING_STEPS[Math.min(this.step, HEALING_STEPS.length - 1)];
+    this.step++;
+    this.healCount++;
+    if (step === 'relaunch') {
+      this.relaunches++;
+    }
+
+    console.warn(`[Watchdog] Healing: ${step}`);
+    this.emit('heal', { step: step, attempt: this.step });
+    try {
+      await withTimeout(this.runHealingStep(step), HEAL_TIMEOUT_MS, `Did not finish within ${HEAL_TIMEOUT_MS}ms`);
+      this.record('heal', `Ran ${step}`);
+    } catch (error) {
+      console.error(`[Watchdog] ${step} failed:`, error.message);
+      this.record('heal', `${step} failed: ${error.message}`);
+      if (error.timedOut) {
+        await this.cancel(step);
+      }
+    }
+  }
+
+  async runHealingStep(step) {
+    switch (step) {
+      case 'actions':
+        await this.capture.resumeMedia();
+        await this.capture.runPageSetup();
+        break;
+      case 'reload':
+        await this.capture.reload();
+        break;
+      default:
+        await this.capture.relaunch();
+    }
+  }
+
+  // Stop a healing step that timed out. What it still waits for fails once
+  // its page or browser is closed; without a page the next step is a
+  // relaunch.
+  async cancel(step) {
+    if (step === 'relaunch') {
+      await this.capture.closeBrowser();
+      return;
+    }
+
+    const { page } = this.capture;
+    if (page && !page.isClosed()) {
+      try {
+        await page.close();
+      } catch (error) {
+        console.error('[Watchdog] Failed to close the hung page:', error.message);
+      }
+    }
+    this.step = HEALING_STEPS.indexOf('relaunch');
+  }
+
+  // The healing step taken last since the page was healthy, or null
+  get lastStep() {
+    return this.step > 0 ? HEALING_STEPS[Math.min(this.step, HEALING_STEPS.length) - 1] : null;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      active: this.active,
+      healthy: this.healthy,
+      problems: this.problems,
+      lastCheckAt: this.lastCheckAt,
+      step: this.lastStep,
+      healCount: this.healCount,
+      relaunches: this.relaunches,
+      gaveUp: this.gaveUp,
+      events: this.events
+    };
+  }
+}
+
+module.exports = BrowserWatchdog;
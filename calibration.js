@@ -0,0 +1,192 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addMixerInputs } = require('./mixer');
+
+const SAMPLE_RATE = 8000;
+const FRAME_MS = 10;
+const MAX_DELAY_MS = 15000;
+
+// Below this correlation the match is too weak to apply automatically
+const MIN_CORRELATION = 0.3;
+
+// Quieter than this (dBFS) all the way through counts as no audio
+const SILENCE_DB = -60;
+
+const DEFAULTS = {
+  seconds: 20,
+  maxOffsetMs: 8000
+};
+
+// Record both of the mixer's audio sources at once, read the same way the
+// mixer reads them, as mono 8kHz PCM. Resolves with [original, translation].
+function recordSources(config, seconds) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+  const originalFile = path.join(dir, 'original.raw');
+  const translationFile = path.join(dir, 'translation.raw');
+  const pcmOptions = ['-t', String(seconds), '-ac', '1', '-ar', String(SAMPLE_RATE), '-f', 's16le'];
+
+  const command = ffmpeg();
+  addMixerInputs(command, config);
+
+  // Live captures are rebased like the mixer does (see RTMPMixer#buildFilterGraph)
+  const translationOptions = ['-map', '1:a', ...pcmOptions];
+  if (config.browserAudioFormat) {
+    translationOptions.push('-af', 'aresample=async=1:first_pts=0');
+  }
+
+  command.output(originalFile).outputOptions(['-map', '0:a', ...pcmOptions]);
+  command.output(translationFile).outputOptions(translationOptions);
+
+  return new Promise((resolve, reject) => {
+    // The RTMP input can hang if the encoder goes away mid-recording
+    const timer = setTimeout(() => command.kill('SIGKILL'), (seconds + 30) * 1000);
+
+    const finish = (error) => {
+      clearTimeout(timer);
+      try {
+        if (error) {
+          reject(error);
+        } else {
+          resolve([fs.readFileSync(originalFile), fs.readFileSync(translationFile)]);
+        }
+      } catch (readError) {
+        reject(readError);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    };
+
+    command
+      .on('start', (commandLine) => {
+        console.log('Calibration recording started:', commandLine);
+      })
+      .on('error', (err) => finish(new Error(`Calibration recording failed: ${err.message}`)))
+      .on('end', () => finish(null));
+
+    command.run();
+  });
+}
+
+// Onset envelope of s16le PCM: how much the level (in dB) rises from one 10ms
+// frame to the next. Claps, consonants and beats line up in it regardless of
+// differences in level or codec between the two sources.
+function onsetEnvelope(pcm) {
+  const frameSamples = SAMPLE_RATE * FRAME_MS / 1000;
+  const frames = Math.floor(pcm.length / 2 / frameSamples);
+  const onsets = new Float64Array(frames);
+  let previous = null;
+  let loudest = -Infinity;
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let i = 0; i < frameSamples; i++) {
+      const sample = pcm.readInt16LE((frame * frameSamples + i) * 2) / 32768;
+      sum += sample * sample;
+    }
+    const level = 10 * Math.log10(sum / frameSamples + 1e-10);
+    loudest = Math.max(loudest, level);
+    onsets[frame] = previous === null ? 0 : Math.max(0, level - previous);
+    previous = level;
+  }
+
+  return { onsets, silent: loudest < SILENCE_DB };
+}
+
+// Pearson correlation of a[i] and b[i + lag] over their overlap
+function correlationAt(a, b, lag) {
+  const start = Math.max(0, -lag);
+  const end = Math.min(a.length, b.length - lag);
+  const count = end - start;
+  if (count <= 0) {
+    return { value: 0, count: 0 };
+  }
+
+  let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+  for (let i = start; i < end; i++) {
+    const x = a[i];
+    const y = b[i + lag];
+    sumA += x;
+    sumB += y;
+    sumAA += x * x;
+    sumBB += y * y;
+    sumAB += x * y;
+  }
+
+  const covariance = sumAB - sumA * sumB / count;
+  const variance = (sumAA - sumA * sumA / count) * (sumBB - sumB * sumB / count);
+  return { value: variance > 0 ? covariance / Math.sqrt(variance) : 0, count: count };
+}
+
+// Offset of the translation relative to the original, in ms (positive when
+// the translation is late), from the cross-correlation of the onset envelopes
+function estimateOffset(original, translation, maxOffsetMs) {
+  const a = onsetEnvelope(original);
+  const b = onsetEnvelope(translation);
+  if (a.silent) {
+    throw new Error('The original audio was silent during calibration');
+  }
+  if (b.silent) {
+    throw new Error('The translation audio was silent during calibration');
+  }
+
+  // Every lag needs at least half the recording to compare
+  const minOverlap = Math.floor(Math.min(a.onsets.length, b.onsets.length) / 2);
+  const maxLag = Math.round(maxOffsetMs / FRAME_MS);
+  let best = { lag: 0, value: -Infinity };
+
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const correlation = correlationAt(a.onsets, b.onsets, lag);
+    if (correlation.count >= minOverlap && correlation.value > best.value) {
+      best = { lag: lag, value: correlation.value };
+    }
+  }
+
+  if (best.value === -Infinity) {
+    throw new Error('The recording was too short to compare');
+  }
+
+  return {
+    offsetMs: best.lag * FRAME_MS,
+    correlation: Math.round(best.value * 1000) / 1000
+  };
+}
+
+// Delays that line the sources up: the earlier one is held back by the offset
+function proposeDelays(offsetMs) {
+  const clampDelay = (value) => Math.min(MAX_DELAY_MS, Math.max(0, value));
+  return {
+    rtmpDelay: clampDelay(offsetMs),
+    browserDelay: clampDelay(-offsetMs)
+  };
+}
+
+// Record a window of the original and the translation (config is the
+// mixer's config), measure their offset and propose the delays. The
+// translation needs to carry something the original also has, such as floor
+// audio, a clap or a tone played into both.
+async function calibrateSync(config, options = {}) {
+  const seconds = Math.min(60, Math.max(5, Number(options.seconds) || DEFAULTS.seconds));
+  // Lags longer than half the recording could not be compared reliably
+  const maxOffsetMs = Math.min(Number(options.maxOffsetMs) || DEFAULTS.maxOffsetMs, seconds * 500, MAX_DELAY_MS);
+
+  console.log(`Calibrating A/V sync over ${seconds}s (up to ${maxOffsetMs}ms offset)...`);
+  const [original, translation] = await recordSources(config, seconds);
+  const { offsetMs, correlation } = estimateOffset(original, translation, maxOffsetMs);
+  const confident = correlation >= MIN_CORRELATION;
+  console.log(`Calibration: translation offset ${offsetMs}ms (correlation ${correlation}${confident ? '' : ', too weak to apply'})`);
+
+  return {
+    offsetMs: offsetMs,
+    correlation: correlation,
+    confident: confident,
+    seconds: seconds,
+    proposal: proposeDelays(offsetMs)
+  };
+}
+
+module.exports = {
+  calibrateSync,
+  estimateOffset
+};
@@ -0,0 +1,506 @@
+const EventEmitter = require('events');
+const BrowserAudioCapture = require('./browser-audio');
+const RTMPMixer = require('./mixer');
+const RTMPRelay = require('./relay');
+const SourceFailover = require('./source-failover');
+const { calibrateSync } = require('./calibration');
+const { deviceInput } = BrowserAudioCapture;
+
+// A backup stream has to answer this quickly to join a failover chain
+const PROBE_TIMEOUT_MS = 5000;
+
+// Ducking options for the mixer from the flat channel settings
+function duckingSettings(settings) {
+  return {
+    enabled: !!settings.duckingEnabled,
+    threshold: settings.duckingThreshold,
+    ratio: settings.duckingRatio,
+    attack: settings.duckingAttack,
+    release: settings.duckingRelease,
+    depth: settings.duckingDepth
+  };
+}
+
+// Silence detection options for the mixer from the flat channel settings
+function silenceSettings(settings) {
+  return {
+    enabled: settings.silenceDetection !== false,
+    threshold: settings.silenceThreshold,
+    duration: settings.silenceDuration
+  };
+}
+
+// Watchdog options for the browser from the flat channel settings
+function watchdogSettings(settings) {
+  return {
+    enabled: settings.watchdogEnabled !== false,
+    intervalMs: (settings.watchdogInterval || 15) * 1000,
+    mediaSelector: settings.watchdogMediaSelector || '',
+    selectors: (settings.watchdogSelectors || '').split('\n').map(selector => selector.trim()).filter(Boolean)
+  };
+}
+
+// Browser options from the flat channel settings, for the given mode
+function browserSettings(settings, mode, url = settings.browserUrl) {
+  return {
+    url: url,
+    width: settings.browserWidth,
+    height: settings.browserHeight,
+    actions: settings.browserActions,
+    customJs: settings.browserCustomJs,
+    watchdog: watchdogSettings(settings),
+    mode: mode
+  };
+}
+
+// Fails unless an HTTP(S) stream answers in time. FFmpeg would otherwise
+// fail the whole mixer on a backup that is down.
+async function probeUrl(url) {
+  if (!/^https?:/i.test(url)) {
+    return;
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  // Only the headers matter; a live stream's body never ends
+  if (response.body) {
+    await response.body.cancel();
+  }
+  if (!response.ok) {
+    throw new Error(`${url} answered with HTTP ${response.status}`);
+  }
+}
+
+// One language channel: its own audio source, mixer and destination relays,
+// all fed from the shared RTMP input. Channels never share processes, so a
+// failure in one leaves the others streaming.
+//
+// Events: 'started' ({ hasTranslation, destinations }), 'stopped', 'silence'
+// and 'audioRestored' (see RTMPMixer), 'processFailed' ({ process, name,
+// error, willRestart }) and 'processRestarted' ({ process, name, attempt })
+// for the mixer and relays, 'processOutput' ({ process, name, line }) for
+// their FFmpeg output, and 'actionsFailed' ({ report }) for the browser's
+// automation steps
+class TranslationChannel extends EventEmitter {
+  constructor(id, options = {}) {
+    super();
+    this.id = id;
+    this.rtmpPort = options.rtmpPort || 1935;
+    this.browserAudio = new BrowserAudioCapture();
+    this.mixer = new RTMPMixer({ name: `mixer ${id}` });
+    this.failover = new SourceFailover();
+    this.relays = new Map();
+    this.settings = null;
+    this.calibrating = false;
+    this.starting = false;
+
+    this.mixer.on('silence', (event) => {
+      const fallback = event.source === 'translation' ? ', original restored to full level' : '';
+      console.warn(`[Channel ${this.label}] ALERT: the ${event.source} audio is silent${fallback}`);
+      this.emit('silence', event);
+    });
+    this.mixer.on('audioRestored', (event) => {
+      console.log(`[Channel ${this.label}] The ${event.source} audio is back after ${event.silentSeconds}s of silence`);
+      this.emit('audioRestored', event);
+    });
+    this.watchProcess(this.mixer, 'mixer', () => 'mixer');
+    this.browserAudio.on('actionsFailed', event => this.emit('actionsFailed', event));
+
+    // The failover chain follows the mixer's source meters and the browser
+    // watchdog, and the mixer crossfades to whatever it picks
+    this.mixer.on('sourceLevel', ({ index, level, at }) => this.failover.level(index, level, at));
+    this.browserAudio.watchdog.on('unhealthy', () => this.failover.setBlocked('browser', 'Page unhealthy'));
+    this.browserAudio.watchdog.on('recovered', () => this.failover.setBlocked('browser', null));
+    this.failover.on('switch', ({ to, reason }) => {
+      console.warn(`[Channel ${this.label}] ALERT: translation switched to ${this.mixer.config.sources[to].name} (${reason})`);
+      this.mixer.selectSource(to).catch(error => {
+        console.error(`[Channel ${this.label}] Failed to switch the translation source:`, error.message);
+      });
+    });
+  }
+
+  // Report the output, failures and restarts of one of the channel's FFmpeg
+  // processes (the mixer or a relay). nameOf() names it at the time
+  // (destinations can be renamed).
+  watchProcess(owner, process, nameOf) {
+    owner.on('stderr', line => {
+      this.emit('processOutput', { process: process, name: nameOf(), line: line });
+    });
+    owner.supervisor.on('failure', ({ error, willRestart }) => {
+      this.emit('processFailed', { process: process, name: nameOf(), error: error, willRestart: willRestart });
+    });
+    owner.supervisor.on('restart', ({ attempt }) => {
+      this.emit('processRestarted', { process: process, name: nameOf(), attempt: attempt });
+    });
+  }
+
+  // The mixer publishes here and the destination relays read from here
+  get programUrl() {
+    return `rtmp://127.0.0.1:${this.rtmpPort}/mix/${this.id}`;
+  }
+
+  get label() {
+    return this.settings && this.settings.name ? this.settings.name : this.id;
+  }
+
+  get isRunning() {
+    return this.mixer.isRunning;
+  }
+
+  // Restart policy for the channel's FFmpeg processes
+  get restartPolicy() {
+    const settings = this.settings || {};
+    return {
+      maxRetries: settings.restartMaxRetries,
+      baseDelayMs: settings.restartBaseDelay,
+      maxDelayMs: settings.restartMaxDelay
+    };
+  }
+
+  // Starting a running channel again would launch a second browser and
+  // mixer over the first ones; it reports the running pipeline instead
+  async start(settings) {
+    if (this.isRunning || this.mixer.supervisor.isRetrying) {
+      console.log(`[Channel ${this.label}] Already running`);
+      return {
+        hasBrowserAudio: this.mixer.hasTranslation,
+        destinations: this.relays.size,
+        browserActions: this.browserAudio.lastActionReport,
+        alreadyRunning: true
+      };
+    }
+    if (this.starting) {
+      throw new Error(`Channel ${this.label} is already starting`);
+    }
+
+    this.starting = true;
+    try {
+      return await this.startPipeline(settings);
+    } finally {
+      this.starting = false;
+    }
+  }
+
+  async startPipeline(settings) {
+    this.settings = settings;
+    this.mixer.supervisor.configure(this.restartPolicy);
+
+    console.log(`[Channel ${this.label}] Starting streaming pipeline...`);
+    console.log(`[Channel ${this.label}] Audio Mode:`, settings.audioMode);
+
+    let browserAudioPath = null;
+    let browserAudioFormat = null;
+    let sources = [];
+
+    // Handle different audio modes
+    switch (settings.audioMode) {
+      case 'browser':
+        // Browser audio capture with automation
+        if (settings.browserUrl) {
+          try {
+            console.log('Attempting to start browser audio capture...');
+            await this.browserAudio.init(browserSettings(settings, 'browser'));
+
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            const audioSource = await this.browserAudio.getAudioStream();
+            if (audioSource) {
+              browserAudioPath = audioSource.input;
+              browserAudioFormat = audioSource.format;
+            }
+            console.log('Browser audio capture started successfully');
+          } catch (browserError) {
+            // A required automation step failed: the channel doesn't start
+            if (browserError.actionReport) {
+              throw browserError;
+            }
+            console.warn('Browser audio capture failed, continuing without it:', browserError.message);
+            browserAudioPath = null;
+          }
+        } else {
+          console.log('No browser URL configured, skipping browser audio capture');
+        }
+        break;
+
+      case 'device':
+        // Virtual audio device capture (BlackHole/PulseAudio)
+        if (settings.audioDeviceName) {
+          try {
+            console.log(`Capturing from audio device: ${settings.audioDeviceName}`);
+            await this.browserAudio.init({
+              ...browserSettings(settings, 'device'),
+              deviceName: settings.audioDeviceName
+            });
+
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            const audioSource = await this.browserAudio.getAudioStream();
+            if (audioSource) {
+              browserAudioPath = audioSource.input;
+              browserAudioFormat = audioSource.format;
+            }
+            console.log('Device audio capture started successfully');
+          } catch (deviceError) {
+            if (deviceError.actionReport) {
+              throw deviceError;
+            }
+            console.warn('Device audio capture failed, continuing without it:', deviceError.message);
+            browserAudioPath = null;
+          }
+        } else {
+          console.warn('No audio device name configured');
+        }
+        break;
+
+      case 'url':
+        // Direct audio URL ingestion
+        if (settings.audioUrl) {
+          console.log(`Using direct audio URL: ${settings.audioUrl}`);
+          browserAudioPath = settings.audioUrl;
+        } else {
+          console.warn('No audio URL configured');
+        }
+        break;
+
+      case 'failover':
+        // Ordered sources, all read at once, the first healthy one audible
+        sources = await this.openSources(settings.audioSources || []);
+        if (sources.length === 0) {
+          console.warn('None of the failover sources could be opened, continuing without translation');
+        }
+        break;
+
+      case 'disabled':
+        console.log('Audio mixing disabled - RTMP passthrough only');
+        break;
+
+      default:
+        console.warn(`Unknown audio mode: ${settings.audioMode}`);
+    }
+
+    // Start mixer (with or without browser audio). It publishes to the
+    // channel's program feed, which the destination relays pick up. Without
+    // it the browser is of no use.
+    try {
+      await this.mixer.start({
+        inputRtmpUrl: settings.rtmpInput,
+        outputRtmpUrl: this.programUrl,
+        browserAudioPath: browserAudioPath,
+        browserAudioFormat: browserAudioFormat,
+        sources: sources,
+        activeSource: 0,
+        rtmpVolume: settings.rtmpVolume,
+        browserVolume: settings.browserVolume,
+        rtmpDelay: settings.rtmpDelay,
+        browserDelay: settings.browserDelay,
+        videoBitrate: settings.videoBitrate,
+        ducking: duckingSettings(settings),
+        silence: silenceSettings(settings),
+        recording: settings.recording || null
+      });
+    } catch (mixerError) {
+      await this.browserAudio.cleanup();
+      throw mixerError;
+    }
+    if (sources.length > 0) {
+      this.failover.start(sources, silenceSettings(settings));
+    }
+
+    // Start relays for every enabled destination
+    const enabledDestinations = (settings.destinations || []).filter(d => d.enabled);
+    for (const destination of enabledDestinations) {
+      try {
+        await this.startDestination(destination);
+      } catch (relayError) {
+        console.warn(`Failed to start destination ${destination.name}:`, relayError.message);
+      }
+    }
+
+    this.emit('started', { hasTranslation: this.mixer.hasTranslation, destinations: enabledDestinations.length });
+
+    return {
+      hasBrowserAudio: this.mixer.hasTranslation,
+      destinations: enabledDestinations.length,
+      browserActions: this.browserAudio.lastActionReport
+    };
+  }
+
+  // Open the sources of a failover chain, in order. A source that can't be
+  // opened is left out until the next start; the rest still make a chain.
+  async openSources(audioSources) {
+    const sources = [];
+    for (const [index, source] of audioSources.entries()) {
+      const name = source.name || `${index + 1}. ${source.type}`;
+      try {
+        const input = await this.openSource(source);
+        sources.push({
+          name: name,
+          type: source.type,
+          threshold: source.silenceThreshold,
+          duration: source.silenceDuration,
+          ...input
+        });
+        console.log(`Failover source ${name} ready`);
+      } catch (sourceError) {
+        console.warn(`Failover source ${name} failed, continuing without it:`, sourceError.message);
+      }
+    }
+    return sources;
+  }
+
+  // FFmpeg input ({ input, format, network }) of one failover source
+  async openSource(source) {
+    switch (source.type) {
+      case 'browser': {
+        await this.browserAudio.init(browserSettings(this.settings, 'browser', source.url || this.settings.browserUrl));
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const audioSource = await this.browserAudio.getAudioStream();
+        if (!audioSource) {
+          throw new Error('The browser delivers no audio');
+        }
+        return audioSource;
+      }
+      case 'device':
+        return deviceInput(source.deviceName);
+      default:
+        await probeUrl(source.url);
+        return { input: source.url, network: /^https?:/i.test(source.url) };
+    }
+  }
+
+  async stop() {
+    console.log(`[Channel ${this.label}] Stopping streaming pipeline...`);
+    const wasActive = this.isRunning || this.mixer.supervisor.isRetrying;
+    this.failover.stop();
+
+    // Stop destination relays
+    await this.stopAllDestinations();
+
+    // Stop mixer
+    try {
+      await this.mixer.stop();
+    } catch (mixerError) {
+      console.warn('Error stopping mixer:', mixerError.message);
+    }
+
+    // Cleanup browser (even if it wasn't started)
+    try {
+      await this.browserAudio.cleanup();
+    } catch (browserError) {
+      console.warn('Error cleaning up browser:', browserError.message);
+    }
+
+    if (wasActive) {
+      this.emit('stopped');
+    }
+  }
+
+  get isRecording() {
+    return this.mixer.isRecording;
+  }
+
+  // Start (recording options) or stop (null) recording the running mix
+  setRecording(recording) {
+    return this.mixer.setRecording(recording);
+  }
+
+  async updateVolumes(settings) {
+    this.settings = settings;
+    const result = await this.mixer.updateVolumes(settings.rtmpVolume, settings.browserVolume, settings.rtmpDelay, settings.browserDelay);
+    await this.mixer.updateSilence(silenceSettings(settings));
+    this.failover.configure(silenceSettings(settings));
+    if (result.restarted) {
+      // The restart already picked up the ducking settings
+      return result;
+    }
+    return this.mixer.updateDucking(duckingSettings(settings));
+  }
+
+  // Measure the offset between the original and the translation of the
+  // running mixer (see calibrateSync). Only one calibration at a time.
+  async calibrate(options = {}) {
+    if (!this.isRunning) {
+      throw new Error('Start the channel before calibrating');
+    }
+    if (!this.mixer.hasTranslation) {
+      throw new Error('Calibration needs a translation source');
+    }
+    if (this.calibrating) {
+      throw new Error('A calibration is already running');
+    }
+
+    this.calibrating = true;
+    try {
+      return await calibrateSync(this.mixer.singleSourceConfig(), options);
+    } finally {
+      this.calibrating = false;
+    }
+  }
+
+  async startDestination(destination) {
+    let relay = this.relays.get(destination.id);
+    if (!relay) {
+      relay = new RTMPRelay(destination);
+      this.relays.set(destination.id, relay);
+      this.watchProcess(relay, 'relay', () => relay.destination.name);
+    }
+    relay.destination = destination;
+    relay.supervisor.configure(this.restartPolicy);
+    await relay.start(this.programUrl);
+  }
+
+  async stopDestination(id) {
+    const relay = this.relays.get(id);
+    if (relay) {
+      await relay.stop();
+    }
+  }
+
+  async removeDestination(id) {
+    await this.stopDestination(id);
+    this.relays.delete(id);
+  }
+
+  async stopAllDestinations() {
+    for (const relay of this.relays.values()) {
+      try {
+        await relay.stop();
+      } catch (relayError) {
+        console.warn(`Error stopping destination ${relay.destination.name}:`, relayError.message);
+      }
+    }
+  }
+
+  getRelayStatus(id) {
+    const relay = this.relays.get(id);
+    return relay ? relay.getStatus() : { id: id, isRunning: false, startedAt: null, lastError: null, stats: null, supervisor: null };
+  }
+
+  // Destination summary for status updates (never includes stream keys)
+  getDestinationsStatus(destinations) {
+    return destinations.map(({ id, name, url, enabled }) => ({
+      id,
+      name,
+      url,
+      enabled,
+      ...this.getRelayStatus(id)
+    }));
+  }
+
+  // Live meter readings of the channel's mix
+  getLevels() {
+    return this.mixer.getLevels();
+  }
+
+  getStatus(destinations = []) {
+    return {
+      id: this.id,
+      isRunning: this.isRunning,
+      calibrating: this.calibrating,
+      recording: this.isRecording,
+      browser: this.browserAudio.getStatus(),
+      mixer: this.mixer.getStatus(),
+      failover: this.failover.getStatus(),
+      destinations: this.getDestinationsStatus(destinations)
+    };
+  }
+}
+
+module.exports = TranslationChannel;
@@ -0,0 +1,313 @@
+// Schema of the configuration, channel and destination settings. Values
+// coming from the API are coerced to their type ("80" -> 80, "true" -> true)
+// and checked against their limits; anything else is reported as an error
+// instead of ending up in an FFmpeg command line.
+
+const { validateActions } = require('./browser-actions');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { LEVELS } = require('./event-log');
+
+function number(min, max, options = {}) {
+  return { type: 'number', min: min, max: max, integer: !!options.integer };
+}
+
+function integer(min, max) {
+  return number(min, max, { integer: true });
+}
+
+function string(options = {}) {
+  return { type: 'string', maxLength: options.maxLength || 2000, pattern: options.pattern, expected: options.expected };
+}
+
+function url(protocols, options = {}) {
+  return { type: 'url', protocols: protocols, optional: !!options.optional };
+}
+
+const BOOLEAN = { type: 'boolean' };
+const LANGUAGE = string({ maxLength: 35, pattern: /^([a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*)?$/, expected: 'a language code like "fr" or "pt-BR"' });
+
+const LEVEL_FIELDS = {
+  rtmpVolume: integer(0, 200),
+  browserVolume: integer(0, 200),
+  rtmpDelay: integer(0, 15000),
+  browserDelay: integer(0, 15000),
+  duckingEnabled: BOOLEAN,
+  duckingThreshold: number(-60, 0),
+  duckingRatio: number(1, 20),
+  duckingAttack: number(0.01, 2000),
+  duckingRelease: number(0.01, 9000),
+  duckingDepth: number(0, 60),
+  silenceDetection: BOOLEAN,
+  silenceThreshold: number(-90, -10),
+  silenceDuration: integer(2, 300)
+};
+
+// One source of a failover chain. A browser source opens url, or the
+// channel's browserUrl, with the channel's actions and watchdog; silence
+// settings default to the channel's.
+const AUDIO_SOURCE_FIELDS = {
+  type: { type: 'enum', values: ['browser', 'device', 'url'] },
+  name: string({ maxLength: 100 }),
+  url: string(),
+  deviceName: string({ maxLength: 200 }),
+  silenceThreshold: number(-90, -10),
+  silenceDuration: integer(2, 300)
+};
+
+// What each type of source needs, beyond the fields themselves
+function checkAudioSources(sources, path) {
+  const errors = [];
+  sources.forEach((source, index) => {
+    const prefix = `${path}[${index}]`;
+    if (!source.type) {
+      errors.push(`${prefix} needs a type`);
+    } else if (source.type === 'device' && !source.deviceName) {
+      errors.push(`${prefix} (device) needs deviceName`);
+    } else if (source.type === 'url' && !source.url) {
+      errors.push(`${prefix} (url) needs url`);
+    }
+  });
+  // The channel has one browser
+  if (sources.filter(source => source.type === 'browser').length > 1) {
+    errors.push(`${path} can have only one browser source`);
+  }
+  return errors;
+}
+
+// Audio source settings every channel has (the main channel included)
+const SOURCE_FIELDS = {
+  audioMode: { type: 'enum', values: ['browser', 'device', 'url', 'failover', 'disabled'] },
+  browserUrl: url(['http:', 'https:'], { optional: true }),
+  audioDeviceName: string({ maxLength: 200 }),
+  audioUrl: string(),
+  browserActions: { type: 'actions', maxItems: 100 },
+  browserCustomJs: string({ maxLength: 100000 }),
+  // Ordered sources of the failover audio mode
+  audioSources: { type: 'objects', fields: AUDIO_SOURCE_FIELDS, maxItems: 10, check: checkAudioSources },
+  watchdogEnabled: BOOLEAN,
+  watchdogInterval: integer(5, 600),
+  watchdogMediaSelector: string({ maxLength: 500 }),
+  // One CSS selector per line
+  watchdogSelectors: string({ maxLength: 5000 }),
+  ...LEVEL_FIELDS
+};
+
+const DESTINATION_FIELDS = {
+  name: string({ maxLength: 100 }),
+  url: url(['rtmp:', 'rtmps:']),
+  key: string({ maxLength: 500 }),
+  enabled: BOOLEAN
+};
+
+const CHANNEL_FIELDS = {
+  name: string({ maxLength: 100 }),
+  language: LANGUAGE,
+  enabled: BOOLEAN,
+  ...SOURCE_FIELDS
+};
+
+// What POST /api/config accepts. Channels and destinations have their own routes.
+const CONFIG_FIELDS = {
+  rtmpInput: url(['rtmp:', 'rtmps:']),
+  browserWidth: integer(320, 7680),
+  browserHeight: integer(240, 4320),
+  videoBitrate: string({ maxLength: 20, pattern: /^\d+(\.\d+)?[kKmM]?$/, expected: 'a bitrate like "6000k" or "6M"' }),
+  channelName: string({ maxLength: 100 }),
+  channelLanguage: LANGUAGE,
+  hlsEnabled: BOOLEAN,
+  hlsSegmentSeconds: integer(1, 30),
+  hlsPlaylistSize: integer(1, 100),
+  recordingEnabled: BOOLEAN,
+  recordingFormat: { type: 'enum', values: ['mkv', 'mp4'] },
+  recordingSegmentMinutes: integer(1, 240),
+  restartMaxRetries: integer(0, 1000),
+  restartBaseDelay: integer(100, 600000),
+  restartMaxDelay: integer(100, 3600000),
+  ingestAuth: BOOLEAN,
+  autoStart: BOOLEAN,
+  autoStopGraceSeconds: integer(0, 3600),
+  ...SOURCE_FIELDS
+};
+
+// A whole configuration document, as stored in a profile or imported
+const PROFILE_FIELDS = {
+  ...CONFIG_FIELDS,
+  destinations: { type: 'objects', fields: { id: string({ maxLength: 100 }), ...DESTINATION_FIELDS } },
+  channels: {
+    type: 'objects',
+    fields: {
+      id: string({ maxLength: 100, pattern: /^[a-z0-9-]+$/, expected: 'lowercase letters, digits and dashes' }),
+      ...CHANNEL_FIELDS,
+      destinations: { type: 'objects', fields: { id: string({ maxLength: 100 }), ...DESTINATION_FIELDS } }
+    }
+  }
+};
+
+// Outgoing notifications. No events means every event.
+const WEBHOOK_FIELDS = {
+  name: string({ maxLength: 100 }),
+  url: url(['http:', 'https:']),
+  events: { type: 'list', values: WEBHOOK_EVENTS },
+  secret: string({ maxLength: 200 }),
+  format: { type: 'enum', values: ['json', 'slack', 'teams'] },
+  enabled: BOOLEAN
+};
+
+// Encoder ingest keys. Without a name a key is called "Encoder".
+const INGEST_KEY_FIELDS = {
+  name: string({ maxLength: 100 })
+};
+
+// Filters of the event log. since is an ISO date and time, after an entry
+// id; level is the lowest level shown.
+const LOG_FILTER_FIELDS = {
+  level: { type: 'enum', values: LEVELS },
+  source: string({ maxLength: 100 }),
+  channel: string({ maxLength: 100 }),
+  search: string({ maxLength: 200 }),
+  since: string({ maxLength: 40 }),
+  after: integer(0, Number.MAX_SAFE_INTEGER),
+  limit: integer(1, 1000)
+};
+
+// Scheduled starts and stops. Whether the times make sense is up to the
+// scheduler.
+const SCHEDULE_FIELDS = {
+  name: string({ maxLength: 100 }),
+  action: { type: 'enum', values: ['start', 'stop'] },
+  at: string({ maxLength: 40 }),
+  cron: string({ maxLength: 100 }),
+  profileId: string({ maxLength: 100 }),
+  enabled: BOOLEAN
+};
+
+function describe(spec) {
+  switch (spec.type) {
+    case 'number':
+      return `${spec.integer ? 'a whole number' : 'a number'} from ${spec.min} to ${spec.max}`;
+    case 'boolean':
+      return 'true or false';
+    case 'enum':
+      return `one of ${spec.values.join(', ')}`;
+    case 'list':
+      return `a list of ${spec.values.join(', ')}`;
+    case 'url':
+      return `${spec.optional ? 'empty or ' : ''}a ${spec.protocols.map(p => p.replace(':', '')).join('/')} URL`;
+    case 'actions':
+      return `a list of at most ${spec.maxItems} browser automation steps`;
+    case 'objects':
+      return spec.maxItems ? `a list of at most ${spec.maxItems} objects` : 'a list of objects';
+    default:
+      return spec.expected || `text of at most ${spec.maxLength} characters`;
+  }
+}
+
+// Returns the coerced value, or undefined when the value doesn't fit
+function coerce(spec, value, path, errors) {
+  switch (spec.type) {
+    case 'number': {
+      const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof parsed !== 'number' || !Number.isFinite(parsed) || parsed < spec.min || parsed > spec.max ||
+          (spec.integer && !Number.isInteger(parsed))) {
+        return undefined;
+      }
+      return parsed;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return true;
+      }
+      if (value === false || value === 'false') {
+        return false;
+      }
+      return undefined;
+    case 'enum':
+      return spec.values.includes(value) ? value : undefined;
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => spec.values.includes(item))) {
+        return undefined;
+      }
+      return Array.from(new Set(value));
+    case 'url': {
+      if (typeof value !== 'string') {
+        return undefined;
+      }
+      const trimmed = value.trim();
+      if (trimmed === '' && spec.optional) {
+        return '';
+      }
+      try {
+        return spec.protocols.includes(new URL(trimmed).protocol) ? trimmed : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    }
+    case 'actions':
+      if (!Array.isArray(value) || value.length > spec.maxItems) {
+        return undefined;
+      }
+      errors.push(...validateActions(value, path));
+      return value;
+    case 'objects': {
+      if (!Array.isArray(value) || (spec.maxItems && value.length > spec.maxItems)) {
+        return undefined;
+      }
+      const items = value.map((item, index) => validateFields(item, spec.fields, errors, `${path}[${index}].`));
+      if (spec.check) {
+        errors.push(...spec.check(items, path));
+      }
+      return items;
+    }
+    default:
+      if (typeof value !== 'string' || value.length > spec.maxLength || (spec.pattern && !spec.pattern.test(value))) {
+        return undefined;
+      }
+      return value;
+  }
+}
+
+function validateFields(input, fields, errors, prefix = '') {
+  const settings = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push(`${prefix.replace(/\.$/, '') || 'The request body'} must be an object`);
+    return settings;
+  }
+
+  Object.entries(input).forEach(([key, value]) => {
+    const spec = fields[key];
+    const path = prefix + key;
+    if (!spec) {
+      errors.push(`Unknown setting "${path}"`);
+      return;
+    }
+
+    const coerced = coerce(spec, value, path, errors);
+    if (coerced === undefined) {
+      errors.push(`${path} must be ${describe(spec)} (got ${JSON.stringify(value)})`);
+      return;
+    }
+    settings[key] = coerced;
+  });
+  return settings;
+}
+
+// Validate the given settings (any subset of the fields). Returns the
+// coerced settings and a list of errors, empty when everything fits.
+function validateSettings(input, fields) {
+  const errors = [];
+  const settings = validateFields(input, fields, errors);
+  return { settings, errors };
+}
+
+module.exports = {
+  LEVEL_FIELDS,
+  DESTINATION_FIELDS,
+  CHANNEL_FIELDS,
+  CONFIG_FIELDS,
+  PROFILE_FIELDS,
+  SCHEDULE_FIELDS,
+  WEBHOOK_FIELDS,
+  INGEST_KEY_FIELDS,
+  LOG_FILTER_FIELDS,
+  validateSettings
+};
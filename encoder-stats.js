@@ -0,0 +1,118 @@
+// Parses one FFmpeg progress line, e.g.
+// "frame= 1502 fps= 30 q=-1.0 size=   12288kB time=00:00:50.06 bitrate=2010.9kbits/s dup=0 drop=2 speed=1.00x"
+// Returns null for any other line. Fields FFmpeg reports as N/A are left out.
+function parseProgressLine(line) {
+  if (!/^\s*(frame|size|Lsize)=/.test(line)) {
+    return null;
+  }
+
+  const fields = {};
+  const pattern = /(\w+)=\s*(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    fields[match[1]] = match[2];
+  }
+
+  const progress = {};
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+  };
+
+  progress.frames = number(fields.frame);
+  progress.fps = number(fields.fps);
+  progress.bitrateKbps = number(fields.bitrate);     // "2010.9kbits/s"
+  progress.speed = number(fields.speed);             // "1.00x"
+  progress.dupFrames = number(fields.dup);
+  progress.dropFrames = number(fields.drop);
+
+  // "12288kB" (older builds) or "12288KiB", both in units of 1024 bytes
+  const size = number(fields.size || fields.Lsize);
+  if (size !== undefined) {
+    progress.outputBytes = size * 1024;
+  }
+
+  // "00:00:50.06", negative while the output is still buffering
+  const time = (fields.time || '').match(/^(-?)(\d+):(\d+):(\d+(?:\.\d+)?)$/);
+  if (time) {
+    const seconds = parseInt(time[2], 10) * 3600 + parseInt(time[3], 10) * 60 + parseFloat(time[4]);
+    progress.outTimeSeconds = time[1] ? -seconds : seconds;
+  }
+
+  Object.keys(progress).forEach(key => {
+    if (progress[key] === undefined) {
+      delete progress[key];
+    }
+  });
+  return progress;
+}
+
+// Structured statistics of one FFmpeg process, fed from its stderr. The
+// totals (frames, bytes, dropped frames, ...) are per process and start over
+// when the process is restarted.
+class EncoderStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.startedAt = null;
+    this.updatedAt = null;
+    this.frames = 0;
+    this.fps = 0;
+    this.bitrateKbps = 0;
+    this.speed = 0;
+    this.dupFrames = 0;
+    this.dropFrames = 0;
+    this.outputBytes = 0;
+    this.outTimeSeconds = 0;
+  }
+
+  // A new process starts with fresh totals
+  started() {
+    this.reset();
+    this.startedAt = Date.now();
+  }
+
+  // The rates drop to zero; the totals stay for a look after a failure
+  stopped() {
+    this.startedAt = null;
+    this.fps = 0;
+    this.bitrateKbps = 0;
+    this.speed = 0;
+  }
+
+  // Returns true when the line was a progress line
+  update(line) {
+    const progress = parseProgressLine(line);
+    if (!progress) {
+      return false;
+    }
+    Object.assign(this, progress);
+    this.updatedAt = Date.now();
+    return true;
+  }
+
+  get uptimeSeconds() {
+    return this.startedAt ? Math.floor((Date.now() - this.startedAt) / 1000) : 0;
+  }
+
+  getStatus() {
+    return {
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      uptimeSeconds: this.uptimeSeconds,
+      updatedAt: this.updatedAt ? new Date(this.updatedAt).toISOString() : null,
+      frames: this.frames,
+      fps: this.fps,
+      bitrateKbps: this.bitrateKbps,
+      speed: this.speed,
+      dupFrames: this.dupFrames,
+      dropFrames: this.dropFrames,
+      outputBytes: this.outputBytes,
+      outTimeSeconds: this.outTimeSeconds
+    };
+  }
+}
+
+module.exports = EncoderStats;
+module.exports.parseProgressLine = parseProgressLine;
@@ -0,0 +1,200 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { redact } = require('./secrets');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const LOG_DEFAULTS = {
+  bufferSize: 2000,
+  maxFileBytes: 10 * 1024 * 1024,
+  // Rotated files kept besides the current one (events.1.log is the newest)
+  maxFiles: 5
+};
+
+// A whole FFmpeg stderr dump is one entry, but not an unbounded one
+const MAX_MESSAGE_LENGTH = 10000;
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+// NodeMediaServer prints "<date> <time> <pid> [INFO] ..." with a colored tag
+const NMS_LINE = new RegExp(`^.*? ${process.pid} \\[(INFO|ERROR|DEBUG|FFDEBUG)\\] `);
+const NMS_LEVELS = { INFO: 'info', ERROR: 'error', DEBUG: 'debug', FFDEBUG: 'debug' };
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+// Where a console line comes from: its "[Tag ...]" prefix ("[Relay YouTube]"
+// is 'relay'), NodeMediaServer's own format, or the app itself
+function parseConsoleLine(method, text) {
+  const plain = text.replace(ANSI_PATTERN, '');
+  const nms = plain.match(NMS_LINE);
+  if (nms) {
+    return { level: NMS_LEVELS[nms[1]], source: 'rtmp-server', message: plain.slice(nms[0].length) };
+  }
+  const tag = plain.match(/^\[([A-Za-z]+)[^\]]*\]\s*/);
+  if (tag) {
+    return { level: CONSOLE_LEVELS[method], source: tag[1].toLowerCase(), message: plain.slice(tag[0].length) };
+  }
+  return { level: CONSOLE_LEVELS[method], source: 'app', message: plain };
+}
+
+// Leveled log of everything the app, its FFmpeg processes and the RTMP
+// server report. The latest entries stay in memory for queries and live
+// tails; all of them go to a JSON-lines file, rotated by size.
+//
+// Entries: { id, at, level, source, channel, message }, with channel null
+// for anything not about one channel.
+//
+// Events: 'entry' (entry) for every entry added
+class EventLog extends EventEmitter {
+  constructor(directory, options = {}) {
+    super();
+    this.directory = directory;
+    this.filePath = directory ? path.join(directory, 'events.log') : null;
+    this.options = { ...LOG_DEFAULTS, ...options };
+    this.entries = [];
+    this.nextId = 1;
+    this.fileSize = 0;
+    // One listener per dashboard following the log
+    this.setMaxListeners(0);
+    // Messages about the log itself can't go through the captured console
+    this.print = console.error.bind(console);
+    this.load();
+  }
+
+  // Picks up the end of the current file, so a restart keeps the history
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      this.fileSize = Buffer.byteLength(content);
+      content.split('\n').slice(-this.options.bufferSize - 1).forEach(line => {
+        try {
+          const entry = JSON.parse(line);
+          this.entries.push(entry);
+          this.nextId = Math.max(this.nextId, entry.id + 1);
+        } catch (error) {
+          // A line cut short by a crash
+        }
+      });
+      this.trim();
+    } catch (error) {
+      this.print('Error loading the event log:', error.message);
+    }
+  }
+
+  trim() {
+    if (this.entries.length > this.options.bufferSize) {
+      this.entries.splice(0, this.entries.length - this.options.bufferSize);
+    }
+  }
+
+  // Add an entry; messages are redacted like every other log line
+  add(level, source, message, channel = null) {
+    const entry = {
+      id: this.nextId++,
+      at: new Date().toISOString(),
+      level: LEVELS.includes(level) ? level : 'info',
+      source: source,
+      channel: channel,
+      message: redact(String(message)).slice(0, MAX_MESSAGE_LENGTH)
+    };
+    this.entries.push(entry);
+    this.trim();
+    this.write(entry);
+    this.emit('entry', entry);
+    return entry;
+  }
+
+  write(entry) {
+    if (!this.filePath) {
+      return;
+    }
+    const line = JSON.stringify(entry) + '\n';
+    try {
+      if (this.fileSize > 0 && this.fileSize + Buffer.byteLength(line) > this.options.maxFileBytes) {
+        this.rotate();
+      }
+      fs.appendFileSync(this.filePath, line);
+      this.fileSize += Buffer.byteLength(line);
+    } catch (error) {
+      // Keep logging to memory; the file is retried with the next entry
+      this.print('Error writing the event log:', error.message);
+    }
+  }
+
+  // events.log -> events.1.log -> ... -> events.<maxFiles>.log, dropping the oldest
+  rotate() {
+    const rotated = index => path.join(this.directory, `events.${index}.log`);
+    fs.rmSync(rotated(this.options.maxFiles), { force: true });
+    for (let index = this.options.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(rotated(index))) {
+        fs.renameSync(rotated(index), rotated(index + 1));
+      }
+    }
+    if (this.options.maxFiles > 0) {
+      fs.renameSync(this.filePath, rotated(1));
+    } else {
+      fs.rmSync(this.filePath, { force: true });
+    }
+    this.fileSize = 0;
+  }
+
+  // filter: { level (the lowest one), source, channel, search, since (ms),
+  // after (an entry id) }, any of them
+  matches(entry, filter = {}) {
+    if (filter.level && LEVELS.indexOf(entry.level) < LEVELS.indexOf(filter.level)) {
+      return false;
+    }
+    if (filter.source && entry.source !== filter.source) {
+      return false;
+    }
+    if (filter.channel && entry.channel !== filter.channel) {
+      return false;
+    }
+    if (filter.after && entry.id <= filter.after) {
+      return false;
+    }
+    if (filter.since && Date.parse(entry.at) < filter.since) {
+      return false;
+    }
+    if (filter.search && !entry.message.toLowerCase().includes(filter.search.toLowerCase())) {
+      return false;
+    }
+    return true;
+  }
+
+  // The latest entries matching the filter, oldest first
+  query(filter = {}, limit = 200) {
+    const matching = this.entries.filter(entry => this.matches(entry, filter));
+    return matching.slice(Math.max(0, matching.length - limit));
+  }
+
+  // The sources seen so far, for filter choices
+  getSources() {
+    return Array.from(new Set(this.entries.map(entry => entry.source))).sort();
+  }
+
+  // Log everything written to the console as well, still printing it
+  captureConsole() {
+    Object.keys(CONSOLE_LEVELS).forEach(method => {
+      const original = console[method].bind(console);
+      console[method] = (...args) => {
+        original(...args);
+        const { level, source, message } = parseConsoleLine(method, util.format(...args));
+        this.add(level, source, message);
+      };
+    });
+  }
+}
+
+module.exports = EventLog;
+module.exports.LEVELS = LEVELS;
+module.exports.LOG_DEFAULTS = LOG_DEFAULTS;
@@ -0,0 +1,193 @@
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const ProcessSupervisor = require('./supervisor');
+const { appendStderrLine } = ProcessSupervisor;
+const EncoderStats = require('./encoder-stats');
+const { redact } = require('./secrets');
+
+// Packages the program as HLS: the video once, plus the original audio and
+// every channel's mix as alternate audio renditions of one master playlist.
+//
+// Events: 'stderr' (line) passes on FFmpeg's output, without progress lines
+class HLSPackager extends EventEmitter {
+  constructor(outputDir, options = {}) {
+    super();
+    this.outputDir = outputDir;
+    this.ffmpegProcess = null;
+    this.isRunning = false;
+    this.stopping = false;
+    this.config = null;
+    this.lastError = null;
+    this.stderrLines = [];
+    this.stats = new EncoderStats();
+    this.supervisor = new ProcessSupervisor('hls', options.supervisor);
+  }
+
+  // config: {
+  //   videoUrl,            program feed that supplies the video (main channel)
+  //   originalAudioUrl,    RTMP input, for the untouched original audio
+  //   originalDelay,       ms to delay the original so it matches the video
+  //   renditions: [{ id, name, language, url, delay, isDefault }],
+  //   segmentSeconds, playlistSize
+  // }
+  // options.restart keeps the restart counters (see RTMPMixer#start)
+  async start(config, options = {}) {
+    if (!options.restart) {
+      this.supervisor.reset();
+    }
+
+    if (this.ffmpegProcess) {
+      await this.stop();
+    }
+
+    this.config = config;
+    this.lastError = null;
+    this.stderrLines = [];
+
+    // Start from an empty directory so players never pick up stale segments
+    fs.rmSync(this.outputDir, { recursive: true, force: true });
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    console.log('Starting HLS packager...');
+    console.log('HLS renditions:', ['original', ...config.renditions.map(r => r.id)].join(', '));
+
+    const command = ffmpeg();
+
+    // Input 0: program feed (video + its mix), input 1: original audio
+    command.input(config.videoUrl).inputOptions(['-thread_queue_size', '512']);
+    command.input(config.originalAudioUrl).inputOptions(['-thread_queue_size', '512']);
+
+    // Renditions other than the video's own program come from their channel feeds
+    let nextInput = 2;
+    const renditionInputs = config.renditions.map(rendition => {
+      if (rendition.url === config.videoUrl) {
+        return 0;
+      }
+      command.input(rendition.url).inputOptions(['-thread_queue_size', '512']);
+      return nextInput++;
+    });
+
+    const outputOptions = [
+      '-map 0:v',
+      '-map 1:a'
+    ];
+    renditionInputs.forEach(index => outputOptions.push(`-map ${index}:a`));
+
+    // Line the audio renditions up with the (possibly delayed) video
+    if (config.originalDelay > 0) {
+      outputOptions.push(`-filter:a:0 adelay=${config.originalDelay}|${config.originalDelay}`);
+    }
+    config.renditions.forEach((rendition, index) => {
+      if (rendition.delay > 0) {
+        outputOptions.push(`-filter:a:${index + 1} adelay=${rendition.delay}|${rendition.delay}`);
+      }
+    });
+
+    // Video group plus one audio group holding every language
+    const streamMap = ['v:0,agroup:audio'];
+    streamMap.push(`a:0,agroup:audio,language:und,name:original${config.renditions.some(r => r.isDefault) ? '' : ',default:yes'}`);
+    config.renditions.forEach((rendition, index) => {
+      const language = rendition.language ? `,language:${rendition.language}` : '';
+      const isDefault = rendition.isDefault ? ',default:yes' : '';
+      streamMap.push(`a:${index + 1},agroup:audio${language},name:${rendition.id}${isDefault}`);
+    });
+
+    outputOptions.push(
+      '-c:v copy',                               // Video is encoded once, by the mixer
+      '-c:a aac',
+      '-b:a 128k',
+      '-ar 48000',
+      '-ac 2',
+      '-f hls',
+      `-hls_time ${config.segmentSeconds}`,
+      `-hls_list_size ${config.playlistSize}`,
+      '-hls_flags delete_segments+independent_segments',
+      '-master_pl_name master.m3u8'
+    );
+
+    // Passed as separate arguments so fluent-ffmpeg doesn't split values on spaces
+    command
+      .outputOptions(outputOptions)
+      .outputOptions('-hls_segment_filename', path.join(this.outputDir, '%v', 'segment_%05d.ts'))
+      .outputOptions('-var_stream_map', streamMap.join(' '))
+      .output(path.join(this.outputDir, '%v', 'index.m3u8'));
+
+    this.ffmpegProcess = command;
+
+    const exited = (error) => {
+      if (this.ffmpegProcess !== command) {
+        return;
+      }
+      this.isRunning = false;
+      this.ffmpegProcess = null;
+      this.stats.stopped();
+
+      if (!this.stopping) {
+        this.supervisor.recordFailure(error, this.stderrLines, () => this.start(this.config, { restart: true }));
+      }
+    };
+
+    command
+      .on('start', (commandLine) => {
+        console.log('HLS packager started:', commandLine);
+        this.isRunning = true;
+        this.stats.started();
+        this.supervisor.recordStarted();
+      })
+      .on('stderr', (line) => {
+        if (!this.stats.update(line) && appendStderrLine(this.stderrLines, line)) {
+          this.emit('stderr', line);
+        }
+      })
+      .on('error', (err, stdout, stderr) => {
+        if (!this.stopping) {
+          console.error('HLS packager error:', err.message);
+          console.error('HLS packager stderr:', stderr);
+          this.lastError = redact(err.message);
+        }
+        exited(err);
+      })
+      .on('end', () => {
+        console.log('HLS packager ended');
+        exited(new Error('HLS packager exited unexpectedly'));
+      });
+
+    command.run();
+    return true;
+  }
+
+  async stop() {
+    this.supervisor.cancel();
+
+    const command = this.ffmpegProcess;
+    if (command) {
+      console.log('Stopping HLS packager...');
+      this.stopping = true;
+      await new Promise((resolve) => {
+        command.once('end', resolve);
+        command.once('error', resolve);
+        command.kill('SIGTERM');
+      });
+      this.stopping = false;
+    }
+    this.isRunning = false;
+    this.ffmpegProcess = null;
+    this.stats.stopped();
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastError: this.lastError,
+      stats: this.stats.getStatus(),
+      supervisor: this.supervisor.getStatus(),
+      renditions: this.config
+        ? ['original', ...this.config.renditions.map(r => r.id)]
+        : []
+    };
+  }
+}
+
+module.exports = HLSPackager;
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const RECENT_REJECTIONS = 20;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Stream keys for publishing to the RTMP ingest. Only a hash of each key is
+// stored; the key itself is returned once, when it is created or rotated.
+// Publishers append it to the stream name: rtmp://host:1935/live/stream?key=...
+class IngestKeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.keys = [];
+    this.recentRejections = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading ingest keys:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.keys, null, 2));
+    } catch (error) {
+      console.error('Error saving ingest keys:', error.message);
+    }
+  }
+
+  // Key entries without their hashes
+  list() {
+    return this.keys.map(({ hash, ...entry }) => entry);
+  }
+
+  find(id) {
+    return this.keys.find(k => k.id === id);
+  }
+
+  create(name) {
+    const key = generateKey();
+    const entry = {
+      id: crypto.randomUUID(),
+      name: name || 'Encoder',
+      hash: hashKey(key),
+      hint: key.slice(0, 4),
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      lastUsedAt: null
+    };
+    this.keys.push(entry);
+    this.save();
+
+    const { hash, ...publicEntry } = entry;
+    return { ...publicEntry, key: key };
+  }
+
+  // Replace a key's secret; the old one stops working immediately
+  rotate(id) {
+    const entry = this.find(id);
+    if (!entry) {
+      return null;
+    }
+
+    const key = generateKey();
+    entry.hash = hashKey(key);
+    entry.hint = key.slice(0, 4);
+    entry.rotatedAt = new Date().toISOString();
+    this.save();
+
+    const { hash, ...publicEntry } = entry;
+    return { ...publicEntry, key: key };
+  }
+
+  revoke(id) {
+    const entry = this.find(id);
+    if (!entry) {
+      return false;
+    }
+    this.keys = this.keys.filter(k => k.id !== id);
+    this.save();
+    return true;
+  }
+
+  // Returns the matching key entry, or null
+  verify(key) {
+    if (!key || typeof key !== 'string') {
+      return null;
+    }
+
+    const hash = Buffer.from(hashKey(key), 'hex');
+    const entry = this.keys.find(k => crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), hash));
+    if (entry) {
+      entry.lastUsedAt = new Date().toISOString();
+      this.save();
+    }
+    return entry || null;
+  }
+
+  recordRejection(rejection) {
+    this.recentRejections.unshift({ ...rejection, at: new Date().toISOString() });
+    this.recentRejections.length = Math.min(this.recentRejections.length, RECENT_REJECTIONS);
+  }
+}
+
+module.exports = IngestKeyStore;
@@ -0,0 +1,66 @@
+// Collects samples and renders them in the Prometheus text exposition format.
+// Samples of one metric are grouped under a single HELP/TYPE header, in the
+// order the metrics were first added.
+class MetricsWriter {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.families = new Map();
+  }
+
+  gauge(name, help, labels, value) {
+    this.add(name, 'gauge', help, labels, value);
+  }
+
+  counter(name, help, labels, value) {
+    this.add(name, 'counter', help, labels, value);
+  }
+
+  // Booleans become 1/0; missing values (null/undefined) are left out
+  add(name, type, help, labels, value) {
+    const fullName = this.prefix + name;
+    if (!this.families.has(fullName)) {
+      this.families.set(fullName, { type: type, help: help, samples: [] });
+    }
+    if (value === null || value === undefined) {
+      return;
+    }
+    this.families.get(fullName).samples.push({ labels: labels || {}, value: Number(value) });
+  }
+
+  toString() {
+    const lines = [];
+    this.families.forEach((family, name) => {
+      lines.push(`# HELP ${name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      family.samples.forEach(({ labels, value }) => {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => {
+      const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${key}="${escaped}"`;
+    });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+module.exports = MetricsWriter;
@@ -1,117 +1,249 @@
+const EventEmitter = require('events');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
+const ProcessSupervisor = require('./supervisor');
+const EncoderStats = require('./encoder-stats');
+const SilenceTracker = require('./silence');
+const { SILENCE_DEFAULTS } = SilenceTracker;
+const { appendStderrLine } = ProcessSupervisor;
 
-class RTMPMixer {
-  constructor() {
+const DUCKING_DEFAULTS = {
+  enabled: false,
+  threshold: -30,  // dB, translation level that starts ducking
+  ratio: 8,
+  attack: 20,      // ms
+  release: 400,    // ms
+  depth: 12        // dB, the most the original is turned down
+};
+
+const METER_FLOOR = -120;
+
+// Switching between the sources of a failover chain fades them over
+// CROSSFADE_SECONDS, starting CROSSFADE_LEAD_SECONDS after the latest meter
+// reading so the command reaches FFmpeg before the fade begins
+const CROSSFADE_SECONDS = 0.3;
+const CROSSFADE_LEAD_SECONDS = 0.3;
+
+// Network sources of a failover chain reconnect on their own and give up
+// on a read that hangs this long, so a dead stream can't stall the mix forever
+const NETWORK_TIMEOUT_US = 5000000;
+
+// Taps a copy of the audio for the level meters: astats over 100ms frames,
+// with the peak and RMS levels printed to stderr by named ametadata filters
+// (one key each, which also works with older FFmpeg builds)
+function meterTap(name) {
+  return [
+    'asetnsamples=n=4800',
+    'astats=metadata=1:reset=1',
+    `ametadata@meter_${name}_peak=mode=print:key=lavfi.astats.Overall.Peak_level`,
+    `ametadata@meter_${name}_rms=mode=print:key=lavfi.astats.Overall.RMS_level`
+  ].join(',');
+}
+
+// dB reading from FFmpeg ("-12.3", "-inf", "nan") clamped to the meter floor
+function parseLevel(value) {
+  const level = parseFloat(value);
+  return Number.isFinite(level) ? Math.max(METER_FLOOR, level) : METER_FLOOR;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, Number(value)));
+}
+
+// sidechaincompress options for the ducking settings. sidechaincompress has
+// no depth of its own: with the compressed signal close to silent while
+// ducking, mixing it with (1 - mix) of the dry signal caps the attenuation at
+// 20*log10(1 - mix) dB. Disabled ducking is mix=0, a plain passthrough.
+function duckingParams(ducking) {
+  const depth = clamp(ducking.depth, 0, 60);
+  return {
+    threshold: Math.pow(10, clamp(ducking.threshold, -60, 0) / 20).toFixed(6),
+    ratio: clamp(ducking.ratio, 1, 20),
+    attack: clamp(ducking.attack, 0.01, 2000),
+    release: clamp(ducking.release, 0.01, 9000),
+    mix: ducking.enabled ? (1 - Math.pow(10, -depth / 20)).toFixed(4) : 0
+  };
+}
+
+// While the translation is silent the original plays at full level (at
+// least) and without ducking, so viewers aren't left with a quiet feed
+function rtmpVolumeFor(config, fallback) {
+  return fallback ? Math.max(config.rtmpVolume, 100) : config.rtmpVolume;
+}
+
+function duckingFor(config, fallback) {
+  return fallback ? { ...config.ducking, enabled: false } : config.ducking;
+}
+
+// One translation source ({ input, format, network }) as an FFmpeg input
+function addSourceInput(command, source) {
+  if (source.format) {
+    // Live capture device (PulseAudio sink monitor, avfoundation, ...)
+    command.input(source.input)
+      .inputFormat(source.format)
+      .inputOptions([
+        '-thread_queue_size', '1024'
+      ]);
+  } else if (source.network) {
+    // Live stream (Icecast, HLS, ...)
+    command.input(source.input)
+      .inputOptions([
+        '-reconnect', '1',
+        '-reconnect_streamed', '1',
+        '-reconnect_delay_max', '5',
+        '-rw_timeout', String(NETWORK_TIMEOUT_US),
+        '-thread_queue_size', '1024'
+      ]);
+  } else {
+    command.input(source.input)
+      .inputOptions([
+        '-re',                // Read at native frame rate
+        '-stream_loop', '-1', // Loop the audio file
+        '-thread_queue_size', '1024',
+        '-fflags', '+igndts'  // Ignore DTS on separate streams
+      ]);
+  }
+}
+
+// The mixer's inputs: 0 is the RTMP stream (video + audio), 1 the
+// translation audio if there is one, or 1 to N the sources of a failover
+// chain. Shared with the sync calibration, which has to read the sources
+// exactly like the mixer does.
+function addMixerInputs(command, config) {
+  command.input(config.inputRtmpUrl)
+    .inputOptions([
+      '-thread_queue_size', '512',
+      '-re',
+      '-fflags', '+genpts'
+    ]);
+
+  if (config.sources && config.sources.length > 0) {
+    config.sources.forEach(source => addSourceInput(command, source));
+  } else if (config.browserAudioPath) {
+    addSourceInput(command, { input: config.browserAudioPath, format: config.browserAudioFormat });
+  }
+}
+
+// Output of a recording mixer: one tee muxer feeding the RTMP push (video
+// and the mix) and the recording segments (every stream). Both share the
+// encodes, and a failing recording (e.g. a full disk) leaves the push running.
+function teeOutput(outputUrl, recording) {
+  const segmentOptions = [
+    'f=segment',
+    `segment_time=${recording.segmentSeconds}`,
+    `segment_format=${recording.format === 'mp4' ? 'mp4' : 'matroska'}`,
+    'reset_timestamps=1',
+    'strftime=1',
+    'onfail=ignore'
+  ];
+  if (recording.format === 'mp4') {
+    // Fragmented, so a segment cut short by a crash is still playable
+    segmentOptions.push('segment_format_options=movflags=+frag_keyframe+empty_moov+default_base_moof');
+  }
+
+  const file = path.join(recording.directory, `${recording.name}-%Y%m%d-%H%M%S.${recording.format}`);
+  return `[f=flv:flvflags=no_duration_filesize:select=\\'v:0,a:0\\']${outputUrl}|[${segmentOptions.join(':')}]${file}`;
+}
+
+// Mixes the RTMP input with the translation and publishes the result.
+//
+// Events: 'silence' ({ source, since }) when the original or the translation
+// has been below the silence threshold for the configured duration, and
+// 'audioRestored' ({ source, silentSeconds }) when it is back. A silent
+// translation also switches the mix to its fallback levels until it returns.
+// With a failover chain, 'sourceLevel' ({ index, level, at }) reports the
+// RMS level of every source, whether it is the active one or not.
+// 'stderr' (line) passes on FFmpeg's output, without progress and meter lines.
+class RTMPMixer extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.ffmpegProcess = null;
     this.isRunning = false;
+    this.stopping = false;
+    this.pendingCommand = null;
+    this.commandQueue = Promise.resolve();
+    this.stderrLines = [];
+    this.levels = { updatedAt: null };
+    // Latest pts_time of each failover source, on that source's timeline
+    this.sourceTimes = {};
+    this.stats = new EncoderStats();
+    this.supervisor = new ProcessSupervisor(options.name || 'mixer', options.supervisor);
     this.config = {
       inputRtmpUrl: '',
       outputRtmpUrl: '',
       browserAudioPath: '',
+      browserAudioFormat: '',
+      // Failover chain: [{ name, input, format, network }] all read at once,
+      // with only activeSource audible. Replaces browserAudioPath.
+      sources: [],
+      activeSource: 0,
       rtmpVolume: 100,
       browserVolume: 100,
       rtmpDelay: 0,
       browserDelay: 0,
-      videoBitrate: '6000k'
+      videoBitrate: '6000k',
+      ducking: { ...DUCKING_DEFAULTS },
+      silence: { ...SILENCE_DEFAULTS },
+      // { directory, name, format, segmentSeconds } to record, or null
+      recording: null
     };
+    this.resetSilence();
   }
 
-  async start(config) {
-    if (this.isRunning) {
+  // options.restart marks a restart of the running session (by the supervisor
+  // or a settings change), which keeps the restart counters
+  async start(config, options = {}) {
+    // A restart keeps the fallback levels of a silent translation
+    if (!options.restart) {
+      this.supervisor.reset();
+      this.resetSilence();
+    }
+
+    if (this.ffmpegProcess) {
       console.log('Mixer already running, stopping first...');
       await this.stop();
     }
 
     this.config = { ...this.config, ...config };
+    this.config.ducking = { ...DUCKING_DEFAULTS, ...this.config.ducking };
+    this.config.silence = { ...SILENCE_DEFAULTS, ...this.config.silence };
+    this.stderrLines = [];
+    this.levels = { updatedAt: null };
+    this.sourceTimes = {};
 
     try {
-      // Convert volume percentage to FFmpeg filter value
-      // 100% = 1.0, 200% = 2.0, 50% = 0.5
-      const rtmpVolumeFilter = this.config.rtmpVolume / 100;
-      const browserVolumeFilter = this.config.browserVolume / 100;
-
       // Convert delay from milliseconds to seconds
       const rtmpDelaySeconds = this.config.rtmpDelay / 1000;
-      const browserDelaySeconds = this.config.browserDelay / 1000;
 
       console.log('Starting RTMP mixer...');
       console.log('Input RTMP:', this.config.inputRtmpUrl);
       console.log('Output RTMP:', this.config.outputRtmpUrl);
-      console.log('Browser Audio:', this.config.browserAudioPath ? 'Enabled' : 'Disabled');
+      if (this.config.sources.length > 0) {
+        console.log('Translation Sources:', this.config.sources.map(source => source.name).join(', '),
+          `(active: ${this.activeSourceName})`);
+      } else {
+        console.log('Browser Audio:', this.config.browserAudioPath
+          ? `Enabled (${this.config.browserAudioFormat || 'file/url'})`
+          : 'Disabled');
+      }
       console.log('RTMP Volume:', this.config.rtmpVolume);
       console.log('Browser Volume:', this.config.browserVolume);
       console.log('RTMP Delay:', this.config.rtmpDelay, 'ms');
       console.log('Browser Delay:', this.config.browserDelay, 'ms');
+      console.log('Ducking:', this.config.ducking.enabled
+        ? `${this.config.ducking.depth}dB below ${this.config.ducking.threshold}dB`
+        : 'Disabled');
       console.log('Video Codec:', rtmpDelaySeconds > 0 ? `libx264 @ ${this.config.videoBitrate}` : 'copy (passthrough)');
+      console.log('Recording:', this.config.recording
+        ? `${this.config.recording.format} to ${this.config.recording.directory}`
+        : 'Disabled');
 
       this.ffmpegProcess = ffmpeg();
-
-      // Input 1: RTMP stream (video + audio)
-      this.ffmpegProcess.input(this.config.inputRtmpUrl)
-        .inputOptions([
-          '-thread_queue_size', '512',
-          '-re',
-          '-fflags', '+genpts'
-        ]);
-
-      // Input 2: Browser audio (if available)
-      if (this.config.browserAudioPath) {
-        this.ffmpegProcess.input(this.config.browserAudioPath)
-          .inputOptions([
-            '-re',                // Read at native frame rate
-            '-stream_loop', '-1', // Loop the audio file
-            '-thread_queue_size', '1024',
-            '-fflags', '+igndts'  // Ignore DTS on separate streams
-          ]);
-      }
+      addMixerInputs(this.ffmpegProcess, this.config);
 
       // Complex filter for audio mixing with delays and video delay
-      let filterComplex;
-      let needsVideoFilter = rtmpDelaySeconds > 0;
-
-      if (this.config.browserAudioPath) {
-        // Mix both audio streams with independent volume controls and delays
-        const filters = [];
-
-        // Delay RTMP video if RTMP delay is set (only add filter if delay needed)
-        if (rtmpDelaySeconds > 0) {
-          filters.push(`[0:v]setpts=PTS+${rtmpDelaySeconds}/TB[v0]`);
-        }
-
-        // Adjust RTMP audio volume and delay
-        if (rtmpDelaySeconds > 0) {
-          filters.push(`[0:a]volume=${rtmpVolumeFilter},adelay=${this.config.rtmpDelay}|${this.config.rtmpDelay}[a0]`);
-        } else {
-          filters.push(`[0:a]volume=${rtmpVolumeFilter}[a0]`);
-        }
-
-        // Adjust browser audio volume and delay (already 48kHz from capture)
-        if (browserDelaySeconds > 0) {
-          filters.push(`[1:a]volume=${browserVolumeFilter},adelay=${this.config.browserDelay}|${this.config.browserDelay}[a1]`);
-        } else {
-          filters.push(`[1:a]volume=${browserVolumeFilter}[a1]`);
-        }
-
-        // Mix both audio streams
-        filters.push(`[a0][a1]amix=inputs=2:duration=longest:dropout_transition=2[aout]`);
-
-        filterComplex = filters.join(';');
-      } else {
-        // Only RTMP with volume adjustment and delay (video + audio together)
-        const filters = [];
-
-        // Delay RTMP video if RTMP delay is set
-        if (rtmpDelaySeconds > 0) {
-          filters.push(`[0:v]setpts=PTS+${rtmpDelaySeconds}/TB[v0]`);
-          filters.push(`[0:a]volume=${rtmpVolumeFilter},adelay=${this.config.rtmpDelay}|${this.config.rtmpDelay}[aout]`);
-        } else {
-          // No video filter needed, just audio volume
-          filters.push(`[0:a]volume=${rtmpVolumeFilter}[aout]`);
-        }
-
-        filterComplex = filters.join(';');
-      }
+      const filterComplex = this.buildFilterGraph();
+      const needsVideoFilter = rtmpDelaySeconds > 0;
 
       // Build output options based on whether video needs re-encoding
       const outputOptions = [];
@@ -123,8 +255,20 @@ class RTMPMixer {
         outputOptions.push('-map 0:v');   // Map video directly from input
       }
 
-      // Map audio output
+      // Map audio output, plus the isolated tracks when recording
+      const recording = this.config.recording;
       outputOptions.push('-map [aout]');
+      if (recording && this.hasTranslation) {
+        outputOptions.push(
+          '-map [roriginal]',
+          '-map [rtranslation]',
+          '-metadata:s:a:1 title=Original',
+          '-metadata:s:a:2 title=Translation'
+        );
+      }
+      if (recording) {
+        outputOptions.push('-metadata:s:a:0 title=Mix');
+      }
 
       // Add video encoding options
       if (needsVideoFilter) {
@@ -144,35 +288,64 @@ class RTMPMixer {
         '-c:a aac',           // Encode audio to AAC
         '-b:a 192k',          // Audio bitrate (increased for better quality)
         '-ar 48000',          // Audio sample rate (match input processing)
-        '-ac 2',              // Stereo channels
-        '-f flv',             // FLV format for RTMP
-        '-flvflags no_duration_filesize'
+        '-ac 2'               // Stereo channels
       );
 
+      if (recording) {
+        // Encoders put their headers where every tee output can use them
+        outputOptions.push('-flags +global_header', '-f tee');
+      } else {
+        outputOptions.push(
+          '-f flv',           // FLV format for RTMP
+          '-flvflags no_duration_filesize'
+        );
+      }
+
       this.ffmpegProcess
         .complexFilter(filterComplex)
         .outputOptions(outputOptions)
-        .output(this.config.outputRtmpUrl);
+        .output(recording ? teeOutput(this.config.outputRtmpUrl, recording) : this.config.outputRtmpUrl);
 
       // Event handlers
-      this.ffmpegProcess
+      const command = this.ffmpegProcess;
+      const exited = (error) => {
+        if (this.ffmpegProcess !== command) {
+          return;
+        }
+        this.isRunning = false;
+        this.ffmpegProcess = null;
+        this.stats.stopped();
+        this.rejectPendingCommand();
+
+        // Anything but an intentional stop is a failure worth restarting
+        if (!this.stopping) {
+          this.supervisor.recordFailure(error, this.stderrLines, () => this.start(this.config, { restart: true }));
+        }
+      };
+
+      command
         .on('start', (commandLine) => {
           console.log('FFmpeg process started:', commandLine);
           this.isRunning = true;
+          this.stats.started();
+          this.supervisor.recordStarted();
         })
-        .on('progress', (progress) => {
-          if (progress.timemark) {
-            console.log(`Processing: ${progress.timemark} @ ${progress.currentFps || 0} fps`);
+        .on('stderr', (line) => {
+          // Meter readings would drown out everything else in the log tail
+          if (!this.stats.update(line) && !this.handleStderrLine(line) && appendStderrLine(this.stderrLines, line)) {
+            this.emit('stderr', line);
           }
         })
         .on('error', (err, stdout, stderr) => {
-          console.error('FFmpeg error:', err.message);
-          console.error('FFmpeg stderr:', stderr);
-          this.isRunning = false;
+          if (!this.stopping) {
+            console.error('FFmpeg error:', err.message);
+            console.error('FFmpeg stderr:', stderr);
+          }
+          exited(err);
         })
         .on('end', () => {
           console.log('FFmpeg process ended');
-          this.isRunning = false;
+          exited(new Error('FFmpeg exited unexpectedly'));
         });
 
       this.ffmpegProcess.run();
@@ -186,39 +359,469 @@ class RTMPMixer {
   }
 
   async stop() {
-    if (this.ffmpegProcess) {
+    this.supervisor.cancel();
+
+    const command = this.ffmpegProcess;
+    if (command) {
       console.log('Stopping FFmpeg process...');
-      return new Promise((resolve) => {
-        this.ffmpegProcess.on('end', () => {
-          this.isRunning = false;
-          this.ffmpegProcess = null;
-          resolve();
-        });
-        this.ffmpegProcess.kill('SIGTERM');
+      this.stopping = true;
+      await new Promise((resolve) => {
+        // fluent-ffmpeg reports a killed process as 'error' rather than 'end'
+        command.once('end', resolve);
+        command.once('error', resolve);
+        command.kill('SIGTERM');
       });
+      this.stopping = false;
     }
     this.isRunning = false;
+    this.ffmpegProcess = null;
+    this.stats.stopped();
+  }
+
+  // Build the filter graph. Filters that can be adjusted while running carry
+  // an instance name (volume@rtmp, adelay@browser, ...) so sendFilterCommand()
+  // can address them.
+  buildFilterGraph() {
+    // Convert volume percentage to FFmpeg filter value
+    // 100% = 1.0, 200% = 2.0, 50% = 0.5
+    const rtmpVolumeFilter = rtmpVolumeFor(this.config, this.fallback) / 100;
+    const browserVolumeFilter = this.config.browserVolume / 100;
+    const rtmpDelay = this.config.rtmpDelay;
+    const browserDelay = this.config.browserDelay;
+
+    const filters = [];
+
+    // Delay RTMP video if RTMP delay is set (only add filter if delay needed)
+    if (rtmpDelay > 0) {
+      filters.push(`[0:v]setpts=PTS+${rtmpDelay / 1000}/TB[v0]`);
+    }
+
+    // Recordings get the original and the translation as isolated tracks,
+    // delayed like in the mix but at their own levels
+    const isolateTracks = !!(this.config.recording && this.hasTranslation);
+
+    const rtmpLabel = this.hasTranslation ? 'a0' : 'amix';
+    let rtmpInput = '[0:a]';
+    if (isolateTracks) {
+      const recordDelay = rtmpDelay > 0 ? `adelay=${rtmpDelay}|${rtmpDelay}` : 'anull';
+      filters.push('[0:a]asplit=2[a0in][a0rec]');
+      filters.push(`[a0rec]${recordDelay}[roriginal]`);
+      rtmpInput = '[a0in]';
+    }
+    const rtmpChain = [`volume@rtmp=${rtmpVolumeFilter}`];
+    if (rtmpDelay > 0) {
+      rtmpChain.push(`adelay@rtmp=${rtmpDelay}|${rtmpDelay}`);
+    }
+    filters.push(`${rtmpInput}${rtmpChain.join(',')}[${rtmpLabel}]`);
+
+    if (this.hasTranslation) {
+      let browserInput = '[1:a]';
+      const browserChain = [];
+
+      if (this.config.sources.length > 0) {
+        filters.push(...this.buildSourceFilters());
+        browserInput = '[asources]';
+      }
+
+      // Live captures carry wall-clock timestamps; rebase them to zero and
+      // resample against drift so they line up with the RTMP audio
+      if (this.config.browserAudioFormat) {
+        browserChain.push('aresample=48000:async=1:first_pts=0');
+      }
+
+      // adelay stays in the graph even at 0ms so the delay can be changed live
+      browserChain.push(`adelay@browser=${browserDelay}|${browserDelay}`);
+      if (isolateTracks) {
+        filters.push(`${browserInput}${browserChain.join(',')},asplit=2[a1in][rtranslation]`);
+        browserInput = '[a1in]';
+        browserChain.length = 0;
+      }
+      browserChain.push(`volume@browser=${browserVolumeFilter}`);
+      browserChain.push('asplit=3');
+      filters.push(`${browserInput}${browserChain.join(',')}[a1][a1sc][mtranslation]`);
+
+      // The translation sidechain-compresses (ducks) the original. The
+      // compressor is always in the graph so ducking can be toggled live.
+      const ducking = Object.entries(duckingParams(duckingFor(this.config, this.fallback)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join(':');
+      filters.push(`[a0][a1sc]sidechaincompress@duck=${ducking}[a0duck]`);
+      filters.push('[a0duck]asplit=2[a0mix][moriginal]');
+
+      // Mix both audio streams
+      filters.push(`[a0mix][a1]amix=inputs=2:duration=longest:dropout_transition=2[amix]`);
+
+      filters.push(`[moriginal]${meterTap('original')},anullsink`);
+      filters.push(`[mtranslation]${meterTap('translation')},anullsink`);
+    }
+
+    // Master meter and loudness. Without a translation the master is the original.
+    filters.push('[amix]asplit=2[aout][mmaster]');
+    filters.push(`[mmaster]${meterTap('master')},ebur128@loudness=framelog=info,anullsink`);
+
+    return filters.join(';');
+  }
+
+  // The sources of a failover chain, each metered on its own and faded in or
+  // out by volume@source<n>, summed into [asources]. Only the active source
+  // is audible; selectSource() crossfades to another one.
+  buildSourceFilters() {
+    const filters = [];
+    const sources = this.config.sources;
+    sources.forEach((source, index) => {
+      // Live captures are rebased like a single live source
+      const rebase = source.format ? 'aresample=48000:async=1:first_pts=0,' : '';
+      const volume = index === this.config.activeSource ? 1 : 0;
+      filters.push(`[${index + 1}:a]${rebase}asplit=2[s${index}][s${index}meter]`);
+      filters.push(`[s${index}meter]${meterTap(`source${index}`)},anullsink`);
+      filters.push(`[s${index}]volume@source${index}=volume=${volume}:eval=frame[s${index}out]`);
+    });
+
+    const inputs = sources.map((source, index) => `[s${index}out]`).join('');
+    filters.push(`${inputs}amix=inputs=${sources.length}:normalize=0:duration=longest:dropout_transition=0[asources]`);
+    return filters;
+  }
+
+  // Returns true for meter and loudness lines, which are consumed here
+  handleStderrLine(line) {
+    // Level meter, e.g.
+    // "[ametadata@meter_master_rms @ 0x55d0] lavfi.astats.Overall.RMS_level=-23.1"
+    // "[ametadata@meter_source0_rms @ 0x55d0] frame:12 pts:57600 pts_time:1.2"
+    const meter = line.match(/^\[ametadata@meter_(\w+)_(peak|rms) @ [^\]]+\] (?:(lavfi\.astats\.\S+?)=(\S+)|frame:(?:.*pts_time:(\S+))?)/);
+    if (meter) {
+      const source = meter[1].match(/^source(\d+)$/);
+      const index = source ? parseInt(source[1], 10) : null;
+      if (source && meter[5] !== undefined && Number.isFinite(parseFloat(meter[5]))) {
+        // Where the source's own timeline is, for the crossfade
+        this.sourceTimes[index] = parseFloat(meter[5]);
+      }
+      if (source && meter[3] && meter[2] === 'rms') {
+        this.emit('sourceLevel', { index: index, level: parseLevel(meter[4]), at: Date.now() });
+      }
+
+      if (meter[3]) {
+        const level = parseLevel(meter[4]);
+        this.levels[meter[1]] = { ...this.levels[meter[1]], [meter[2]]: level };
+        this.levels.updatedAt = Date.now();
+
+        // Without a translation the master is the original
+        const tracked = meter[1] === 'master' && !this.hasTranslation ? 'original' : meter[1];
+        if (meter[2] === 'rms' && this.silence[tracked]) {
+          this.trackSilence(tracked, level, this.levels.updatedAt);
+        }
+      }
+      return true;
+    }
+
+    // Loudness, e.g.
+    // "[ebur128@loudness @ 0x55d0] t: 3.1  TARGET:-23 LUFS  M: -21.4 S: -22.0  I: -22.8 LUFS  LRA: 1.2 LU"
+    if (line.startsWith('[ebur128@loudness')) {
+      const loudness = line.match(/M:\s*(\S+)\s+S:\s*(\S+)\s+I:\s*(\S+) LUFS/);
+      if (loudness) {
+        this.levels.loudness = {
+          momentary: parseLevel(loudness[1]),
+          shortTerm: parseLevel(loudness[2]),
+          integrated: parseLevel(loudness[3])
+        };
+        this.levels.updatedAt = Date.now();
+      }
+      return true;
+    }
+
+    // Reply to a command sent through stdin, e.g.
+    // "Command reply for stream 0: ret:0 res:"
+    const reply = line.match(/Command reply for stream \d+: ret:(-?\d+)/);
+    if (reply && this.pendingCommand) {
+      const { resolve, timer } = this.pendingCommand;
+      clearTimeout(timer);
+      this.pendingCommand = null;
+      resolve(parseInt(reply[1], 10) >= 0);
+    }
+    return false;
+  }
+
+  // Latest meter readings in dBFS (peak/RMS) and LUFS (loudness). Without a
+  // translation source the original is the master.
+  getLevels() {
+    const levels = { ...this.levels };
+    if (!this.hasTranslation) {
+      levels.original = levels.master;
+    }
+    return levels;
+  }
+
+  rejectPendingCommand() {
+    if (this.pendingCommand) {
+      const { resolve, timer } = this.pendingCommand;
+      clearTimeout(timer);
+      this.pendingCommand = null;
+      resolve(false);
+    }
+  }
+
+  // Send a runtime command to a named filter of the running graph using
+  // FFmpeg's interactive 'c' key. Resolves true when FFmpeg accepted it.
+  sendFilterCommand(target, command, arg) {
+    const run = () => new Promise((resolve) => {
+      const proc = this.ffmpegProcess && this.ffmpegProcess.ffmpegProc;
+      if (!this.isRunning || !proc || !proc.stdin || !proc.stdin.writable) {
+        resolve(false);
+        return;
+      }
+
+      // Newer FFmpeg builds don't always print a reply; treat silence as success
+      const timer = setTimeout(() => {
+        this.pendingCommand = null;
+        resolve(true);
+      }, 1500);
+      this.pendingCommand = { resolve, timer };
+
+      console.log(`Sending filter command: ${target} ${command} ${arg}`);
+      proc.stdin.write(`c${target} -1 ${command} ${arg}\n`);
+    });
+
+    // One command at a time so replies can be matched up
+    this.commandQueue = this.commandQueue.then(run, run);
+    return this.commandQueue;
+  }
+
+  resetSilence() {
+    this.silence = { original: new SilenceTracker(), translation: new SilenceTracker() };
+    this.fallback = false;
+  }
+
+  // Follow a source's RMS level and report when it goes silent or returns
+  trackSilence(source, level, now) {
+    const tracker = this.silence[source];
+    if (!this.config.silence.enabled) {
+      return;
+    }
+
+    tracker.configure(this.config.silence);
+    const since = tracker.silentSince;
+    const change = tracker.update(level, now);
+    if (change === 'silence') {
+      this.emit('silence', { source: source, since: new Date(tracker.silentSince).toISOString() });
+      if (source === 'translation') {
+        this.setFallback(true);
+      }
+    } else if (change === 'restored') {
+      this.emit('audioRestored', { source: source, silentSeconds: Math.round((now - since) / 1000) });
+      if (source === 'translation') {
+        this.setFallback(false);
+      }
+    }
+  }
+
+  // Switch between the configured levels and the fallback levels of a
+  // silent translation, live
+  async setFallback(active) {
+    const previousVolume = rtmpVolumeFor(this.config, this.fallback);
+    const previousDucking = duckingParams(duckingFor(this.config, this.fallback));
+    this.fallback = active;
+
+    if (!this.isRunning) {
+      return { live: false, restarted: false };
+    }
+
+    console.log(active ? 'Translation silent, restoring the original to full level...' : 'Translation back, restoring the levels...');
+
+    const commands = [];
+    const volume = rtmpVolumeFor(this.config, active);
+    if (volume !== previousVolume) {
+      commands.push(['volume@rtmp', 'volume', volume / 100]);
+    }
+    const params = duckingParams(duckingFor(this.config, active));
+    Object.keys(params)
+      .filter(name => params[name] !== previousDucking[name])
+      .forEach(name => commands.push(['sidechaincompress@duck', name, params[name]]));
+
+    return this.applyFilterCommands(commands);
+  }
+
+  // Silence detection settings apply right away; turning detection off
+  // ends a fallback
+  async updateSilence(silence) {
+    this.config.silence = { ...this.config.silence, ...silence };
+    if (this.config.silence.enabled) {
+      return { live: this.isRunning, restarted: false };
+    }
+
+    const fallback = this.fallback;
+    Object.values(this.silence).forEach(tracker => tracker.reset());
+    return fallback ? this.setFallback(false) : { live: this.isRunning, restarted: false };
   }
 
   async updateVolumes(rtmpVolume, browserVolume, rtmpDelay, browserDelay) {
-    // To update volumes/delays in real-time, we need to restart the process
-    // with new settings
-    if (this.isRunning) {
-      console.log('Updating volumes and delays...');
-      this.config.rtmpVolume = rtmpVolume !== undefined ? rtmpVolume : this.config.rtmpVolume;
-      this.config.browserVolume = browserVolume !== undefined ? browserVolume : this.config.browserVolume;
-      this.config.rtmpDelay = rtmpDelay !== undefined ? rtmpDelay : this.config.rtmpDelay;
-      this.config.browserDelay = browserDelay !== undefined ? browserDelay : this.config.browserDelay;
-      await this.start(this.config);
+    const previous = { ...this.config };
+    this.config.rtmpVolume = rtmpVolume !== undefined ? rtmpVolume : this.config.rtmpVolume;
+    this.config.browserVolume = browserVolume !== undefined ? browserVolume : this.config.browserVolume;
+    this.config.rtmpDelay = rtmpDelay !== undefined ? rtmpDelay : this.config.rtmpDelay;
+    this.config.browserDelay = browserDelay !== undefined ? browserDelay : this.config.browserDelay;
+
+    if (!this.isRunning) {
+      return { live: false, restarted: false };
+    }
+
+    console.log('Updating volumes and delays...');
+
+    // The RTMP delay also shifts the video timestamps (and decides whether
+    // video is copied or re-encoded), which can only be done by restarting
+    if (this.config.rtmpDelay !== previous.rtmpDelay) {
+      console.log('RTMP delay changed, restarting mixer...');
+      await this.start(this.config, { restart: true });
+      return { live: false, restarted: true };
+    }
+
+    const commands = [];
+    const effectiveVolume = rtmpVolumeFor(this.config, this.fallback);
+    if (effectiveVolume !== rtmpVolumeFor(previous, this.fallback)) {
+      commands.push(['volume@rtmp', 'volume', effectiveVolume / 100]);
+    }
+    if (this.hasTranslation) {
+      if (this.config.browserVolume !== previous.browserVolume) {
+        commands.push(['volume@browser', 'volume', this.config.browserVolume / 100]);
+      }
+      if (this.config.browserDelay !== previous.browserDelay) {
+        const delay = this.config.browserDelay;
+        commands.push(['adelay@browser', 'delays', `${delay}|${delay}`]);
+      }
+    }
+
+    return this.applyFilterCommands(commands);
+  }
+
+  async updateDucking(ducking) {
+    const previous = duckingParams(duckingFor(this.config, this.fallback));
+    this.config.ducking = { ...this.config.ducking, ...ducking };
+
+    if (!this.isRunning || !this.hasTranslation) {
+      return { live: false, restarted: false };
+    }
+
+    console.log('Updating ducking...');
+
+    const params = duckingParams(duckingFor(this.config, this.fallback));
+    const commands = Object.keys(params)
+      .filter(name => params[name] !== previous[name])
+      .map(name => ['sidechaincompress@duck', name, params[name]]);
+
+    return this.applyFilterCommands(commands);
+  }
+
+  // Crossfade to another source of the failover chain, live
+  async selectSource(index) {
+    const previous = this.config.activeSource;
+    if (index === previous || !this.config.sources[index]) {
+      return { live: this.isRunning, restarted: false };
+    }
+
+    this.config.activeSource = index;
+    if (!this.isRunning) {
+      return { live: false, restarted: false };
+    }
+
+    console.log(`Switching the translation to ${this.activeSourceName}...`);
+    return this.applyFilterCommands([
+      [`volume@source${index}`, 'volume', this.fadeExpression(index, true)],
+      [`volume@source${previous}`, 'volume', this.fadeExpression(previous, false)]
+    ]);
+  }
+
+  // Volume expression fading a source in or out, on its own timeline (t).
+  // A source that never delivered audio is switched at once.
+  fadeExpression(index, fadeIn) {
+    const time = this.sourceTimes[index];
+    if (time === undefined) {
+      return fadeIn ? 1 : 0;
+    }
+
+    const start = (time + CROSSFADE_LEAD_SECONDS).toFixed(3);
+    const progress = `(t-${start})/${CROSSFADE_SECONDS}`;
+    return fadeIn ? `clip(${progress},0,1)` : `clip(1-${progress},0,1)`;
+  }
+
+  // Send [target, command, arg] filter commands in order, restarting the
+  // mixer with the current config if FFmpeg rejects one
+  async applyFilterCommands(commands) {
+    for (const [target, command, arg] of commands) {
+      const accepted = await this.sendFilterCommand(target, command, arg);
+      if (!accepted) {
+        // e.g. an FFmpeg build whose adelay has no runtime commands
+        console.warn(`FFmpeg rejected ${target} ${command}, restarting mixer instead`);
+        await this.start(this.config, { restart: true });
+        return { live: false, restarted: true };
+      }
+    }
+
+    return { live: true, restarted: false };
+  }
+
+  // Turn recording on ({ directory, name, format, segmentSeconds }) or off
+  // (null). The outputs are fixed while FFmpeg runs, so a running mixer is
+  // restarted.
+  async setRecording(recording) {
+    this.config.recording = recording;
+    if (!this.isRunning) {
+      return { restarted: false };
+    }
+
+    console.log(recording ? 'Starting recording, restarting mixer...' : 'Stopping recording, restarting mixer...');
+    await this.start(this.config, { restart: true });
+    return { restarted: true };
+  }
+
+  get isRecording() {
+    return this.isRunning && !!this.config.recording;
+  }
+
+  // Whether the mix has translation audio (a single source or a chain)
+  get hasTranslation() {
+    return !!this.config.browserAudioPath || this.config.sources.length > 0;
+  }
+
+  get activeSourceName() {
+    const source = this.config.sources[this.config.activeSource];
+    return source ? source.name : null;
+  }
+
+  // The config with the translation audible right now as its only source,
+  // for reading the sources like the mixer does (the sync calibration)
+  singleSourceConfig() {
+    const source = this.config.sources[this.config.activeSource];
+    if (!source) {
+      return this.config;
     }
+    return {
+      ...this.config,
+      sources: [source],
+      activeSource: 0,
+      browserAudioPath: source.input,
+      browserAudioFormat: source.format || ''
+    };
+  }
+
+  // Whether each source is silent (since when), and whether the mix is on
+  // its fallback levels
+  getSilenceStatus() {
+    return {
+      original: this.silence.original.getStatus(),
+      translation: this.silence.translation.getStatus(),
+      fallback: this.fallback
+    };
   }
 
   getStatus() {
     return {
       isRunning: this.isRunning,
-      config: this.config
+      isRecording: this.isRecording,
+      config: this.config,
+      silence: this.getSilenceStatus(),
+      stats: this.stats.getStatus(),
+      supervisor: this.supervisor.getStatus()
     };
   }
 }
 
-module.exports = RTMPMixer;
\ No newline at end of file
+module.exports = RTMPMixer;
+module.exports.addMixerInputs = addMixerInputs;
\ No newline at end of file
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Marks exported profile files, so an import can tell them from other JSON
+const EXPORT_FORMAT = 'rtmp-translation-mixer-profile';
+const EXPORT_VERSION = 1;
+
+function withoutConfig({ config, ...profile }) {
+  return profile;
+}
+
+// Named configurations for different events (Sunday service, conference,
+// ...). Exactly one profile is active; its config is the app configuration.
+class ProfileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.activeId = null;
+    this.profiles = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.activeId = data.activeId;
+        this.profiles = data.profiles || [];
+      }
+    } catch (error) {
+      console.error('Error loading profiles:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        activeId: this.activeId,
+        profiles: this.profiles
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving profiles:', error.message);
+    }
+  }
+
+  // Profiles without their configs
+  list() {
+    return this.profiles.map(profile => ({
+      ...withoutConfig(profile),
+      active: profile.id === this.activeId
+    }));
+  }
+
+  find(id) {
+    return this.profiles.find(p => p.id === id);
+  }
+
+  get active() {
+    return this.find(this.activeId) || null;
+  }
+
+  // The name, or the name with a number added if it is taken
+  uniqueName(name) {
+    const taken = (candidate) => this.profiles.some(p => p.name.toLowerCase() === candidate.toLowerCase());
+    let unique = name;
+    let suffix = 2;
+    while (taken(unique)) {
+      unique = `${name} (${suffix++})`;
+    }
+    return unique;
+  }
+
+  create(name, config) {
+    name = String(name || '').trim();
+    if (!name) {
+      throw new Error('Profile name is required');
+    }
+    if (this.profiles.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error('A profile with that name already exists');
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      id: crypto.randomUUID(),
+      name: name,
+      createdAt: now,
+      updatedAt: now,
+      config: config
+    };
+    this.profiles.push(profile);
+    if (!this.activeId) {
+      this.activeId = profile.id;
+    }
+    this.save();
+
+    return withoutConfig(profile);
+  }
+
+  rename(id, name) {
+    const profile = this.find(id);
+    if (!profile) {
+      return null;
+    }
+    name = String(name || '').trim();
+    if (!name) {
+      throw new Error('Profile name is required');
+    }
+    if (this.profiles.some(p => p.id !== id && p.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error('A profile with that name already exists');
+    }
+
+    profile.name = name;
+    profile.updatedAt = new Date().toISOString();
+    this.save();
+
+    return withoutConfig(profile);
+  }
+
+  saveConfig(id, config) {
+    const profile = this.find(id);
+    if (profile) {
+      profile.config = config;
+      profile.updatedAt = new Date().toISOString();
+      this.save();
+    }
+  }
+
+  activate(id) {
+    if (!this.find(id)) {
+      return false;
+    }
+    this.activeId = id;
+    this.save();
+    return true;
+  }
+
+  remove(id) {
+    if (!this.find(id)) {
+      return false;
+    }
+    if (id === this.activeId) {
+      throw new Error('The active profile cannot be deleted; switch to another one first');
+    }
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    this.save();
+    return true;
+  }
+}
+
+// The contents of an exported profile file
+function exportProfile(profile) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    name: profile.name,
+    exportedAt: new Date().toISOString(),
+    config: profile.config
+  };
+}
+
+// Checks an uploaded profile file and returns { name, config }
+function parseProfileExport(data) {
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('Not an exported profile');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Profile file version ${data.version} is newer than this server supports`);
+  }
+  if (!data.config || typeof data.config !== 'object' || Array.isArray(data.config)) {
+    throw new Error('The profile file has no configuration');
+  }
+  return { name: data.name, config: data.config };
+}
+
+module.exports = ProfileStore;
+module.exports.exportProfile = exportProfile;
+module.exports.parseProfileExport = parseProfileExport;
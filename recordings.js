@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// Status views poll often; the free space they show may be this old
+const FREE_SPACE_CACHE_MS = 5000;
+
+// Segment files are named <channel>-<YYYYmmdd>-<HHMMSS>.<format> by the mixer
+const FILE_PATTERN = /^([a-z0-9-]+)-(\d{8})-(\d{6})\.(mkv|mp4)$/;
+
+// Recorded segments in one directory, plus the free space left for them
+class RecordingStore {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.minFreeBytes = options.minFreeBytes || 0;
+    this.freeSpace = { bytes: null, checkedAt: 0 };
+  }
+
+  ensureDirectory() {
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  // Bytes available on the recordings' disk, or null if it can't be read.
+  // A reading younger than maxAge ms is reused.
+  freeBytes(maxAge = FREE_SPACE_CACHE_MS) {
+    const now = Date.now();
+    if (now - this.freeSpace.checkedAt < maxAge) {
+      return this.freeSpace.bytes;
+    }
+
+    let bytes = null;
+    try {
+      const stats = fs.statfsSync(fs.existsSync(this.directory) ? this.directory : path.dirname(this.directory));
+      bytes = stats.bavail * stats.bsize;
+    } catch (error) {
+      // Unknown
+    }
+    this.freeSpace = { bytes: bytes, checkedAt: now };
+    return bytes;
+  }
+
+  // Always reads the disk; recording stops on the answer
+  hasSpace() {
+    const free = this.freeBytes(0);
+    return free === null || free >= this.minFreeBytes;
+  }
+
+  // Segment files, newest first
+  list() {
+    let names = [];
+    try {
+      names = fs.readdirSync(this.directory);
+    } catch (error) {
+      return [];
+    }
+
+    return names
+      .map(name => ({ name: name, match: name.match(FILE_PATTERN) }))
+      .filter(file => file.match)
+      .map(({ name, match }) => {
+        const stats = fs.statSync(path.join(this.directory, name));
+        return {
+          name: name,
+          channel: match[1],
+          format: match[4],
+          size: stats.size,
+          modifiedAt: stats.mtime.toISOString()
+        };
+      })
+      .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  // Full path of a segment file, or null for anything that isn't one
+  filePath(name) {
+    if (!FILE_PATTERN.test(name)) {
+      return null;
+    }
+    const filePath = path.join(this.directory, name);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  remove(name) {
+    const filePath = this.filePath(name);
+    if (!filePath) {
+      return false;
+    }
+    fs.unlinkSync(filePath);
+    return true;
+  }
+}
+
+module.exports = RecordingStore;
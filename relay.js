@@ -0,0 +1,142 @@
+const EventEmitter = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const ProcessSupervisor = require('./supervisor');
+const { appendStderrLine } = ProcessSupervisor;
+const EncoderStats = require('./encoder-stats');
+const { redact } = require('./secrets');
+
+// Pushes the mixer's program feed to one RTMP destination. The mixer encodes
+// once and publishes locally; every destination gets its own copy-only FFmpeg
+// process so a failing platform never takes the others down with it.
+//
+// Events: 'stderr' (line) passes on FFmpeg's output, without progress lines
+class RTMPRelay extends EventEmitter {
+  constructor(destination, options = {}) {
+    super();
+    this.destination = destination;
+    this.ffmpegProcess = null;
+    this.isRunning = false;
+    this.stopping = false;
+    this.sourceUrl = '';
+    this.lastError = null;
+    this.startedAt = null;
+    this.stderrLines = [];
+    this.stats = new EncoderStats();
+    this.supervisor = new ProcessSupervisor(`relay ${destination.name}`, options.supervisor);
+  }
+
+  get outputUrl() {
+    const { url, key } = this.destination;
+    if (!key) {
+      return url;
+    }
+    return `${url.replace(/\/+$/, '')}/${key}`;
+  }
+
+  // options.restart keeps the restart counters (see RTMPMixer#start)
+  async start(sourceUrl, options = {}) {
+    if (!options.restart) {
+      this.supervisor.reset();
+    }
+
+    if (this.ffmpegProcess) {
+      await this.stop();
+    }
+
+    this.sourceUrl = sourceUrl;
+    this.lastError = null;
+    this.stderrLines = [];
+
+    console.log(`[Relay ${this.destination.name}] Starting relay to ${this.destination.url}`);
+
+    const command = ffmpeg()
+      .input(sourceUrl)
+      .inputOptions(['-thread_queue_size', '512'])
+      .outputOptions([
+        '-map 0',
+        '-c copy',               // Program feed is already encoded
+        '-f flv',
+        '-flvflags no_duration_filesize'
+      ])
+      .output(this.outputUrl);
+
+    this.ffmpegProcess = command;
+
+    const exited = (error) => {
+      if (this.ffmpegProcess !== command) {
+        return;
+      }
+      this.isRunning = false;
+      this.ffmpegProcess = null;
+      this.startedAt = null;
+      this.stats.stopped();
+
+      // A dropped connection to the platform is retried with backoff
+      if (!this.stopping) {
+        this.supervisor.recordFailure(error, this.stderrLines, () => this.start(this.sourceUrl, { restart: true }));
+      }
+    };
+
+    command
+      .on('start', () => {
+        console.log(`[Relay ${this.destination.name}] FFmpeg relay started`);
+        this.isRunning = true;
+        this.startedAt = new Date().toISOString();
+        this.stats.started();
+        this.supervisor.recordStarted();
+      })
+      .on('stderr', (line) => {
+        if (!this.stats.update(line) && appendStderrLine(this.stderrLines, line)) {
+          this.emit('stderr', line);
+        }
+      })
+      .on('error', (err, stdout, stderr) => {
+        if (!this.stopping) {
+          console.error(`[Relay ${this.destination.name}] FFmpeg error:`, err.message);
+          console.error(`[Relay ${this.destination.name}] FFmpeg stderr:`, stderr);
+          this.lastError = redact(err.message);
+        }
+        exited(err);
+      })
+      .on('end', () => {
+        console.log(`[Relay ${this.destination.name}] FFmpeg relay ended`);
+        exited(new Error('FFmpeg relay exited unexpectedly'));
+      });
+
+    command.run();
+    return true;
+  }
+
+  async stop() {
+    this.supervisor.cancel();
+
+    const command = this.ffmpegProcess;
+    if (command) {
+      console.log(`[Relay ${this.destination.name}] Stopping relay...`);
+      this.stopping = true;
+      await new Promise((resolve) => {
+        command.once('end', resolve);
+        command.once('error', resolve);
+        command.kill('SIGTERM');
+      });
+      this.stopping = false;
+    }
+    this.isRunning = false;
+    this.ffmpegProcess = null;
+    this.startedAt = null;
+    this.stats.stopped();
+  }
+
+  getStatus() {
+    return {
+      id: this.destination.id,
+      isRunning: this.isRunning,
+      startedAt: this.startedAt,
+      lastError: this.lastError,
+      stats: this.stats.getStatus(),
+      supervisor: this.supervisor.getStatus()
+    };
+  }
+}
+
+module.exports = RTMPRelay;
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Events missed by less than this (e.g. during a restart) still run
+const MISSED_GRACE_MS = 5 * 60 * 1000;
+
+// Re-check at least this often, so clock changes are picked up
+const MAX_WAIT_MS = 60 * 1000;
+
+// How far ahead a cron expression is searched for its next time
+const CRON_HORIZON_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'weekday', min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 }
+];
+
+function parseCronValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = index >= 0 ? index + field.offset : Number(text);
+  if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${text}" in cron expression`);
+  }
+  return value;
+}
+
+// One field of a cron expression: *, 5, 1-5, MON-FRI, */15, 8-18/2 and
+// comma separated lists of those
+function parseCronField(text, field) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron expression`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseCronValue(start, field);
+      to = end !== undefined ? parseCronValue(end, field) : (stepText === undefined ? from : field.max);
+    }
+    if (from > to) {
+      throw new Error(`Invalid range "${range}" in cron expression`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  // Sunday is both 0 and 7
+  if (field.name === 'weekday' && values.delete(7)) {
+    values.add(0);
+  }
+  return values;
+}
+
+// A five-field cron expression (minute hour day month weekday), in the
+// server's time zone
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A cron expression has five fields: minute hour day month weekday');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  return {
+    minutes, hours, days, months, weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+// Like cron, a day matches on either its day of the month or its weekday
+// when both are restricted
+function cronDayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+}
+
+// The first minute after `after` the expression matches, or null if there
+// is none within the next five years (e.g. "0 0 31 2 *")
+function nextCronTime(cron, after) {
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = after.getTime() + CRON_HORIZON_MS;
+
+  while (time.getTime() <= limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+// Check an entry's action and times; returns the fields to store
+function normalizeEntry(entry) {
+  const action = entry.action || 'start';
+  const at = entry.at || null;
+  const cron = entry.cron ? entry.cron.trim() : null;
+  if (!at === !cron) {
+    throw new Error('A schedule needs either a time (at) or a cron expression');
+  }
+
+  let atTime = null;
+  if (at) {
+    atTime = new Date(at);
+    if (isNaN(atTime.getTime())) {
+      throw new Error(`"${at}" is not a date and time like 2026-03-01T10:00`);
+    }
+  } else if (!nextCronTime(parseCron(cron), new Date())) {
+    throw new Error(`The cron expression "${cron}" never matches`);
+  }
+
+  const name = String(entry.name || '').trim();
+  return {
+    name: name || (action === 'start' ? 'Scheduled start' : 'Scheduled stop'),
+    action: action,
+    at: atTime ? atTime.toISOString() : null,
+    cron: cron,
+    // Only starts select a profile
+    profileId: action === 'start' ? entry.profileId || null : null,
+    enabled: entry.enabled !== false
+  };
+}
+
+// One-off and recurring (cron) starts and stops of the pipeline. runEntry
+// is called with each entry when it is due and resolves with a message
+// describing what it did.
+class Scheduler {
+  constructor(filePath, runEntry) {
+    this.filePath = filePath;
+    this.runEntry = runEntry;
+    this.entries = [];
+    this.timer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading schedules:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+    } catch (error) {
+      console.error('Error saving schedules:', error.message);
+    }
+  }
+
+  // When the entry runs next, or null. Runs missed while the server was
+  // down are caught up within the grace period, but never ones from before
+  // the entry was last changed or ran.
+  nextRun(entry, now = Date.now()) {
+    if (!entry.enabled) {
+      return null;
+    }
+
+    const earliest = Math.max(now - MISSED_GRACE_MS, Date.parse(entry.updatedAt), Date.parse(entry.lastRunAt) || 0);
+    if (entry.at) {
+      const at = Date.parse(entry.at);
+      return !entry.lastRunAt && at >= earliest ? new Date(at) : null;
+    }
+
+    try {
+      return nextCronTime(parseCron(entry.cron), new Date(earliest));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Entries with their next run
+  list() {
+    return this.entries.map(entry => {
+      const next = this.nextRun(entry);
+      return { ...entry, nextRunAt: next ? next.toISOString() : null };
+    });
+  }
+
+  find(id) {
+    return this.entries.find(e => e.id === id);
+  }
+
+  // The entry that runs next, or null
+  getNext() {
+    return this.list()
+      .filter(entry => entry.nextRunAt)
+      .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt))[0] || null;
+  }
+
+  create(fields) {
+    const normalized = normalizeEntry(fields);
+    if (normalized.at && Date.parse(normalized.at) <= Date.now()) {
+      throw new Error('The scheduled time is in the past');
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      ...normalized,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      lastResult: null
+    };
+    this.entries.push(entry);
+    this.save();
+    this.schedule();
+
+    return entry;
+  }
+
+  // Setting at replaces a cron expression and the other way round
+  update(id, changes) {
+    const entry = this.find(id);
+    if (!entry) {
+      return null;
+    }
+
+    const merged = { ...entry, ...changes };
+    if (changes.at) {
+      merged.cron = null;
+    }
+    if (changes.cron) {
+      merged.at = null;
+    }
+    const normalized = normalizeEntry(merged);
+    const timeChanged = normalized.at !== entry.at || normalized.cron !== entry.cron;
+    if (normalized.at && timeChanged && Date.parse(normalized.at) <= Date.now()) {
+      throw new Error('The scheduled time is in the past');
+    }
+
+    Object.assign(entry, normalized, { updatedAt: new Date().toISOString() });
+    // A one-off entry given a new time runs again
+    if (timeChanged) {
+      entry.lastRunAt = null;
+      entry.lastResult = null;
+    }
+    this.save();
+    this.schedule();
+
+    return entry;
+  }
+
+  remove(id) {
+    if (!this.find(id)) {
+      return false;
+    }
+    this.entries = this.entries.filter(e => e.id !== id);
+    this.save();
+    this.schedule();
+    return true;
+  }
+
+  start() {
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Wake up for the next due entry, or in a minute at the latest
+  schedule() {
+    clearTimeout(this.timer);
+    const next = this.getNext();
+    const wait = next ? Math.max(0, Date.parse(next.nextRunAt) - Date.now()) : MAX_WAIT_MS;
+    this.timer = setTimeout(() => this.runDue(), Math.min(wait, MAX_WAIT_MS));
+  }
+
+  runDue() {
+    const now = Date.now();
+    this.entries
+      .filter(entry => {
+        const next = this.nextRun(entry, now);
+        return next && next.getTime() <= now;
+      })
+      .forEach(entry => this.run(entry));
+    this.schedule();
+  }
+
+  async run(entry) {
+    console.log(`[Scheduler] Running "${entry.name}" (${entry.action})`);
+    entry.lastRunAt = new Date().toISOString();
+    this.save();
+
+    let result;
+    try {
+      result = { success: true, message: await this.runEntry(entry) };
+      console.log(`[Scheduler] "${entry.name}": ${result.message}`);
+    } catch (error) {
+      result = { success: false, error: error.message };
+      console.error(`[Scheduler] "${entry.name}" failed:`, error.message);
+    }
+
+    // The entry may have been removed while it ran
+    if (this.find(entry.id)) {
+      entry.lastResult = result;
+      this.save();
+    }
+  }
+}
+
+module.exports = Scheduler;
+module.exports.parseCron = parseCron;
+module.exports.nextCronTime = nextCronTime;
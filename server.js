@@ -2,288 +2,1935 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const WebSocket = require('ws');
+const crypto = require('crypto');
 const NodeMediaServer = require('node-media-server');
+const nmsContext = require('node-media-server/src/node_core_ctx');
 require('dotenv').config();
 
-const BrowserAudioCapture = require('./browser-audio');
-const RTMPMixer = require('./mixer');
+// Stream keys and tokens never reach the logs
+const { addSecrets, installLogRedaction, maskDestination, maskWebhook, stripDestination, maskConfig, configSecrets } = require('./secrets');
+installLogRedaction();
+
+const TranslationChannel = require('./channel');
+const HLSPackager = require('./hls-packager');
+const IngestKeyStore = require('./ingest-auth');
+const MetricsWriter = require('./metrics');
+const ProfileStore = require('./profiles');
+const Scheduler = require('./scheduler');
+const RecordingStore = require('./recordings');
+const WebhookStore = require('./webhooks');
+const EventLog = require('./event-log');
+const StatusFeed = require('./status-feed');
+const { LEVELS: LOG_LEVELS } = EventLog;
+const { WEBHOOK_EVENTS } = WebhookStore;
+const { exportProfile, parseProfileExport } = ProfileStore;
+const { LEVEL_FIELDS, DESTINATION_FIELDS, CHANNEL_FIELDS, CONFIG_FIELDS, PROFILE_FIELDS, SCHEDULE_FIELDS, WEBHOOK_FIELDS, INGEST_KEY_FIELDS, LOG_FILTER_FIELDS, validateSettings } = require('./config-schema');
+const { validateActions } = require('./browser-actions');
+const { UserStore, SessionStore, hasRole, getRequestToken, sessionCookie } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const RTMP_PORT = process.env.RTMP_INPUT_PORT || 1935;
 
-// Configuration file path
+// Named configuration profiles; the active one is the app configuration
+const PROFILES_FILE = path.join(__dirname, 'profiles.json');
+
+// Single configuration file of older versions, imported as the first profile
 const CONFIG_FILE = path.join(__dirname, 'config.json');
 
-// Middleware
-app.use(express.json());
-app.use(express.static('public'));
+// Dashboard users (scrypt password hashes)
+const USERS_FILE = path.join(__dirname, 'users.json');
+
+// Stream keys for publishing to the RTMP ingest (hashed)
+const INGEST_KEYS_FILE = path.join(__dirname, 'ingest-keys.json');
+
+// Scheduled starts and stops
+const SCHEDULES_FILE = path.join(__dirname, 'schedules.json');
+
+// Outgoing event notifications
+const WEBHOOKS_FILE = path.join(__dirname, 'webhooks.json');
+
+// HLS output, served under /hls
+const HLS_DIR = path.join(__dirname, 'hls');
+
+// Recorded segments
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'));
+
+// Recording stops when less than this is left on the recordings' disk
+const RECORDING_MIN_FREE_MB = parseInt(process.env.RECORDING_MIN_FREE_MB) || 2048;
+
+// How often the free space is checked while recording
+const RECORDING_SPACE_CHECK_MS = 30000;
+
+// Browser preview frames are dropped for a client with this much unsent
+const PREVIEW_MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Event log files (events.log, rotated to events.1.log and so on)
+const LOG_DIR = path.resolve(process.env.LOG_DIR || path.join(__dirname, 'logs'));
+
+// Live log entries are dropped for a client with this much unsent
+const LOG_MAX_BUFFERED_BYTES = 256 * 1024;
+
+// Everything logged is kept here as well, once the console is captured below
+const eventLog = new EventLog(LOG_DIR, {
+  bufferSize: parseInt(process.env.LOG_BUFFER_SIZE) || EventLog.LOG_DEFAULTS.bufferSize,
+  maxFileBytes: (parseInt(process.env.LOG_MAX_FILE_MB) || 10) * 1024 * 1024,
+  maxFiles: parseInt(process.env.LOG_MAX_FILES) || EventLog.LOG_DEFAULTS.maxFiles
+});
+
+// The top-level configuration describes the main channel; extra language
+// channels live in config.channels
+const MAIN_CHANNEL_ID = 'main';
+
+// Settings every channel takes from the main configuration
+const SHARED_CHANNEL_SETTINGS = [
+  'rtmpInput', 'videoBitrate', 'browserWidth', 'browserHeight',
+  'restartMaxRetries', 'restartBaseDelay', 'restartMaxDelay',
+  'recordingEnabled', 'recordingFormat', 'recordingSegmentMinutes'
+];
+
+// Settings of the installation rather than the event: they stay as they are
+// when switching profiles and are left out of exports
+const SYSTEM_SETTINGS = [
+  'ingestAuth', 'restartMaxRetries', 'restartBaseDelay', 'restartMaxDelay'
+];
+
+const CHANNEL_DEFAULTS = {
+  name: '',
+  language: '',
+  enabled: true,
+  audioMode: 'disabled',
+  browserUrl: '',
+  audioDeviceName: '',
+  audioUrl: '',
+  audioSources: [],
+  browserActions: [],
+  browserCustomJs: '',
+  watchdogEnabled: true,
+  watchdogInterval: 15,
+  watchdogMediaSelector: '',
+  watchdogSelectors: '',
+  rtmpVolume: 100,
+  browserVolume: 100,
+  rtmpDelay: 0,
+  browserDelay: 0,
+  duckingEnabled: false,
+  duckingThreshold: -30,
+  duckingRatio: 8,
+  duckingAttack: 20,
+  duckingRelease: 400,
+  duckingDepth: 12,
+  silenceDetection: true,
+  silenceThreshold: -50,
+  silenceDuration: 10,
+  destinations: []
+};
+
+// Users and login sessions
+const users = new UserStore(USERS_FILE);
+const sessions = new SessionStore();
+
+// The first start creates an admin, from ADMIN_USERNAME/ADMIN_PASSWORD or
+// with a generated password that is printed once
+function bootstrapAdmin() {
+  if (users.users.length > 0) {
+    return;
+  }
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  try {
+    users.create({ username: username, password: password, role: 'admin' });
+  } catch (error) {
+    console.error('Failed to create admin user:', error.message);
+    return;
+  }
+
+  if (process.env.ADMIN_PASSWORD) {
+    console.log(`Created admin user "${username}"`);
+  } else {
+    console.log(`Created admin user "${username}" with password: ${password}`);
+    console.log('Change it from the dashboard after logging in');
+  }
+}
+
+bootstrapAdmin();
+
+// Only now: a generated admin password is printed once and must not end up
+// in the event log
+eventLog.captureConsole();
+
+// The logged-in user of a request or WebSocket upgrade, if any
+function getRequestUser(req) {
+  const userId = sessions.touch(getRequestToken(req));
+  return userId ? users.find(userId) : null;
+}
+
+function requireAuth(req, res, next) {
+  const user = getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Login required' });
+  }
+  req.user = user;
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ success: false, error: `The ${role} role is required` });
+    }
+    next();
+  };
+}
+
+const requireAdmin = requireRole('admin');
+
+// Middleware
+app.use(express.json());
+
+// The dashboard needs a login; the login page, player and HLS output stay public
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (!getRequestUser(req)) {
+    return res.redirect('/login.html');
+  }
+  next();
+});
+
+app.use(express.static('public'));
+app.use('/hls', express.static(HLS_DIR, {
+  setHeaders: (res, filePath) => {
+    // Players embedded on our own site fetch these cross-origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (filePath.endsWith('.m3u8')) {
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+  }
+}));
+
+// Initialize components (one pipeline per channel, created on demand)
+const channels = new Map();
+const hlsPackager = new HLSPackager(HLS_DIR);
+const ingestKeys = new IngestKeyStore(INGEST_KEYS_FILE);
+const recordings = new RecordingStore(RECORDINGS_DIR, { minFreeBytes: RECORDING_MIN_FREE_MB * 1024 * 1024 });
+const webhooks = new WebhookStore(WEBHOOKS_FILE);
+addSecrets(webhooks.webhooks.map(webhook => webhook.secret));
+
+// WebSocket clients that follow pipeline events (protocol 2): send functions
+const eventClients = new Set();
+
+// Pipeline events for the webhooks and the dashboards
+function notify(event, data, message) {
+  webhooks.emit(event, data, message);
+  const at = new Date().toISOString();
+  eventClients.forEach(send => send({ type: 'event', event: event, at: at, message: message, data: data }));
+}
+
+// Report FFmpeg failures and restarts of a process with its supervisor
+function notifyProcessEvents(supervisor, describe) {
+  supervisor.on('failure', ({ error, willRestart }) => {
+    const { name, data } = describe();
+    notify('ffmpeg.error', { ...data, error: error, willRestart: willRestart },
+      `${name} failed${willRestart ? ', restarting' : ', giving up'}: ${error}`);
+  });
+  supervisor.on('restart', ({ attempt }) => {
+    const { name, data } = describe();
+    notify('ffmpeg.restart', { ...data, attempt: attempt }, `${name} restarted (attempt ${attempt})`);
+  });
+}
+
+notifyProcessEvents(hlsPackager.supervisor, () => ({ name: 'The HLS packager', data: { process: 'hls' } }));
+hlsPackager.on('stderr', line => eventLog.add('debug', 'ffmpeg', `hls: ${line}`));
+
+// Forward a channel's events to the webhooks
+function notifyChannelEvents(channel) {
+  const channelData = () => ({ channelId: channel.id, channelName: channel.label });
+
+  channel.on('started', ({ hasTranslation, destinations }) => {
+    notify('stream.started', { ...channelData(), hasTranslation: hasTranslation, destinations: destinations },
+      `Channel ${channel.label} started streaming${hasTranslation ? '' : ' without translation audio'}`);
+  });
+  channel.on('stopped', () => {
+    notify('stream.stopped', channelData(), `Channel ${channel.label} stopped streaming`);
+  });
+  channel.on('processFailed', ({ process, name, error, willRestart }) => {
+    const label = process === 'relay' ? `The relay to ${name}` : 'The mixer';
+    notify('ffmpeg.error', { ...channelData(), process: process, name: name, error: error, willRestart: willRestart },
+      `${label} of channel ${channel.label} failed${willRestart ? ', restarting' : ', giving up'}: ${error}`);
+  });
+  channel.on('processRestarted', ({ process, name, attempt }) => {
+    const label = process === 'relay' ? `The relay to ${name}` : 'The mixer';
+    notify('ffmpeg.restart', { ...channelData(), process: process, name: name, attempt: attempt },
+      `${label} of channel ${channel.label} restarted (attempt ${attempt})`);
+  });
+  channel.on('actionsFailed', ({ report }) => {
+    notify('browser.actionsFailed', { ...channelData(), aborted: report.aborted, error: report.error, steps: report.steps },
+      `Browser automation on channel ${channel.label} ${report.aborted ? 'aborted' : 'had failures'}: ${report.error}`);
+  });
+  channel.on('silence', ({ source, since }) => {
+    notify('audio.silence', { ...channelData(), source: source, since: since },
+      `The ${source} audio of channel ${channel.label} is silent`);
+  });
+  channel.on('audioRestored', ({ source, silentSeconds }) => {
+    notify('audio.restored', { ...channelData(), source: source, silentSeconds: silentSeconds },
+      `The ${source} audio of channel ${channel.label} is back after ${silentSeconds}s`);
+  });
+}
+
+// FFmpeg output of a channel's processes goes to the event log only; it is
+// far too chatty for the console
+function logChannelOutput(channel) {
+  channel.on('processOutput', ({ process, name, line }) => {
+    eventLog.add('debug', 'ffmpeg', `${process === 'relay' ? `relay ${name}` : process}: ${line}`, channel.id);
+  });
+}
+
+// Configuration defaults, partly from the environment
+function getDefaultConfig() {
+  return {
+    rtmpInput: `rtmp://localhost:${process.env.RTMP_INPUT_PORT || 1935}/live/stream`,
+    destinations: process.env.RTMP_OUTPUT_URL
+      ? [{
+          id: 'default',
+          name: 'Default',
+          url: process.env.RTMP_OUTPUT_URL,
+          key: process.env.RTMP_OUTPUT_KEY || '',
+          enabled: true
+        }]
+      : [],
+    browserUrl: process.env.BROWSER_URL || '',
+    browserWidth: parseInt(process.env.BROWSER_WIDTH) || 1920,
+    browserHeight: parseInt(process.env.BROWSER_HEIGHT) || 1080,
+    rtmpVolume: parseInt(process.env.RTMP_AUDIO_VOLUME) || 100,
+    browserVolume: parseInt(process.env.BROWSER_AUDIO_VOLUME) || 100,
+    rtmpDelay: parseInt(process.env.RTMP_AUDIO_DELAY) || 0,
+    browserDelay: parseInt(process.env.BROWSER_AUDIO_DELAY) || 0,
+    duckingEnabled: process.env.DUCKING_ENABLED === 'true',
+    duckingThreshold: parseFloat(process.env.DUCKING_THRESHOLD) || -30,
+    duckingRatio: parseFloat(process.env.DUCKING_RATIO) || 8,
+    duckingAttack: parseFloat(process.env.DUCKING_ATTACK) || 20,
+    duckingRelease: parseFloat(process.env.DUCKING_RELEASE) || 400,
+    duckingDepth: parseFloat(process.env.DUCKING_DEPTH) || 12,
+    silenceDetection: process.env.SILENCE_DETECTION !== 'false',
+    silenceThreshold: parseFloat(process.env.SILENCE_THRESHOLD) || -50,
+    silenceDuration: parseInt(process.env.SILENCE_DURATION) || 10,
+    videoBitrate: process.env.VIDEO_BITRATE || '6000k',
+    browserActions: [],
+    browserCustomJs: process.env.BROWSER_CUSTOM_JS || '',
+    watchdogEnabled: process.env.BROWSER_WATCHDOG !== 'false',
+    watchdogInterval: parseInt(process.env.BROWSER_WATCHDOG_INTERVAL) || 15,
+    watchdogMediaSelector: process.env.BROWSER_WATCHDOG_MEDIA || '',
+    watchdogSelectors: '',
+    audioMode: process.env.AUDIO_MODE || 'browser',
+    audioDeviceName: process.env.AUDIO_DEVICE_NAME || '',
+    audioUrl: process.env.AUDIO_URL || '',
+    audioSources: [],
+    channelName: 'Main',
+    channelLanguage: '',
+    channels: [],
+    hlsEnabled: process.env.HLS_ENABLED === 'true',
+    hlsSegmentSeconds: parseInt(process.env.HLS_SEGMENT_SECONDS) || 4,
+    hlsPlaylistSize: parseInt(process.env.HLS_PLAYLIST_SIZE) || 6,
+    recordingEnabled: process.env.RECORDING_ENABLED === 'true',
+    recordingFormat: process.env.RECORDING_FORMAT === 'mp4' ? 'mp4' : 'mkv',
+    recordingSegmentMinutes: parseInt(process.env.RECORDING_SEGMENT_MINUTES) || 30,
+    restartMaxRetries: parseInt(process.env.FFMPEG_RESTART_MAX_RETRIES) || 10,
+    restartBaseDelay: parseInt(process.env.FFMPEG_RESTART_BASE_DELAY) || 2000,
+    restartMaxDelay: parseInt(process.env.FFMPEG_RESTART_MAX_DELAY) || 60000,
+    ingestAuth: process.env.INGEST_AUTH === 'true',
+    autoStart: process.env.AUTO_START === 'true',
+    autoStopGraceSeconds: process.env.AUTO_STOP_GRACE_SECONDS !== undefined
+      ? parseInt(process.env.AUTO_STOP_GRACE_SECONDS) || 0
+      : 30
+  };
+}
+
+// The first start creates a "Default" profile, from config.json if there is one
+function createDefaultProfile() {
+  let savedConfig = {};
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      savedConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+      console.log('Imported config.json as the Default profile');
+    }
+  } catch (error) {
+    console.error('Error loading config.json:', error.message);
+  }
+  profiles.create('Default', migrateConfig(savedConfig));
+}
+
+// Load the active profile's configuration over the defaults
+function loadConfig() {
+  if (!profiles.active) {
+    if (profiles.profiles.length === 0) {
+      createDefaultProfile();
+    } else {
+      profiles.activate(profiles.profiles[0].id);
+    }
+  }
+
+  const profile = profiles.active;
+  console.log(`Loaded configuration from profile "${profile.name}"`);
+  return { ...getDefaultConfig(), ...migrateConfig({ ...profile.config }) };
+}
+
+// Older config.json files had a single output URL/key instead of destinations
+function migrateConfig(savedConfig) {
+  if (savedConfig.rtmpOutputUrl !== undefined && !savedConfig.destinations) {
+    savedConfig.destinations = savedConfig.rtmpOutputUrl
+      ? [{
+          id: 'default',
+          name: 'Default',
+          url: savedConfig.rtmpOutputUrl,
+          key: savedConfig.rtmpOutputKey || '',
+          enabled: true
+        }]
+      : [];
+  }
+  delete savedConfig.rtmpOutputUrl;
+  delete savedConfig.rtmpOutputKey;
+  return savedConfig;
+}
+
+// Save configuration to the active profile
+function saveConfig(config) {
+  addSecrets(configSecrets(config));
+  profiles.saveConfig(profiles.activeId, config);
+  console.log(`Configuration saved to profile "${profiles.active.name}"`);
+}
+
+// Store current configuration
+const profiles = new ProfileStore(PROFILES_FILE);
+let appConfig = loadConfig();
+addSecrets(configSecrets(appConfig));
+addSecrets([process.env.METRICS_TOKEN]);
+
+// Parse browser actions from env
+try {
+  if (process.env.BROWSER_ACTIONS) {
+    appConfig.browserActions = JSON.parse(process.env.BROWSER_ACTIONS);
+  }
+} catch (error) {
+  console.error('Failed to parse BROWSER_ACTIONS:', error);
+}
+
+// Channel helpers
+
+function findChannelConfig(id) {
+  return appConfig.channels.find(c => c.id === id);
+}
+
+function channelExists(id) {
+  return id === MAIN_CHANNEL_ID || !!findChannelConfig(id);
+}
+
+function getChannelIds() {
+  return [MAIN_CHANNEL_ID, ...appConfig.channels.map(c => c.id)];
+}
+
+// Effective settings for a channel's pipeline
+function getChannelSettings(id) {
+  if (id === MAIN_CHANNEL_ID) {
+    const { channels: languageChannels, ...mainConfig } = appConfig;
+    return {
+      ...mainConfig,
+      id: MAIN_CHANNEL_ID,
+      name: appConfig.channelName,
+      language: appConfig.channelLanguage,
+      enabled: true
+    };
+  }
+
+  const channelConfig = findChannelConfig(id);
+  if (!channelConfig) {
+    return null;
+  }
+
+  const shared = {};
+  SHARED_CHANNEL_SETTINGS.forEach(key => {
+    shared[key] = appConfig[key];
+  });
+  return { ...CHANNEL_DEFAULTS, ...shared, ...channelConfig };
+}
+
+function getChannel(id) {
+  if (!channels.has(id)) {
+    const channel = new TranslationChannel(id, { rtmpPort: RTMP_PORT });
+    notifyChannelEvents(channel);
+    logChannelOutput(channel);
+    channels.set(id, channel);
+  }
+  return channels.get(id);
+}
+
+// Channel ids end up in RTMP paths (mix/<id>), so keep them URL-safe
+function createChannelId(name) {
+  const base = String(name || 'channel').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'channel';
+  let id = base;
+  let suffix = 2;
+  while (channelExists(id)) {
+    id = `${base}-${suffix++}`;
+  }
+  return id;
+}
+
+function updateChannelConfig(id, changes) {
+  if (id === MAIN_CHANNEL_ID) {
+    appConfig = { ...appConfig, ...changes };
+  } else {
+    appConfig.channels = appConfig.channels.map(c => c.id === id ? { ...c, ...changes } : c);
+  }
+  saveConfig(appConfig);
+}
+
+function getChannelStatus(id) {
+  const settings = getChannelSettings(id);
+  const levels = {};
+  LEVEL_SETTINGS.forEach(key => {
+    levels[key] = settings[key];
+  });
+  return {
+    name: settings.name,
+    language: settings.language,
+    enabled: settings.enabled,
+    levels: levels,
+    ...getChannel(id).getStatus(settings.destinations || [])
+  };
+}
+
+async function stopAllChannels() {
+  for (const channel of channels.values()) {
+    await channel.stop();
+  }
+}
+
+// Start the HLS packager for the given (running) channels. The video comes
+// from the main channel's program; every channel adds an audio rendition.
+async function startHls(channelIds) {
+  if (!channelIds.includes(MAIN_CHANNEL_ID)) {
+    throw new Error('HLS needs the main channel to be running');
+  }
+
+  const mainSettings = getChannelSettings(MAIN_CHANNEL_ID);
+  const renditions = channelIds.map(id => {
+    const settings = getChannelSettings(id);
+    return {
+      id: id,
+      name: settings.name,
+      language: settings.language,
+      url: getChannel(id).programUrl,
+      // Channels with a shorter RTMP delay than the main video are held back to match it
+      delay: Math.max(0, mainSettings.rtmpDelay - settings.rtmpDelay),
+      isDefault: id === MAIN_CHANNEL_ID
+    };
+  });
+
+  hlsPackager.supervisor.configure({
+    maxRetries: appConfig.restartMaxRetries,
+    baseDelayMs: appConfig.restartBaseDelay,
+    maxDelayMs: appConfig.restartMaxDelay
+  });
+
+  await hlsPackager.start({
+    videoUrl: getChannel(MAIN_CHANNEL_ID).programUrl,
+    originalAudioUrl: mainSettings.rtmpInput,
+    originalDelay: mainSettings.rtmpDelay,
+    renditions: renditions,
+    segmentSeconds: appConfig.hlsSegmentSeconds,
+    playlistSize: appConfig.hlsPlaylistSize
+  });
+}
+
+function getHlsStatus() {
+  return {
+    enabled: appConfig.hlsEnabled,
+    masterPlaylist: '/hls/master.m3u8',
+    ...hlsPackager.getStatus()
+  };
+}
+
+// Recording: while enabled, every running channel records its mix and
+// isolated tracks. The disk guard stops all recording when the disk runs low;
+// it stays stopped until the pipeline is started again.
+const recordingState = {
+  stoppedReason: null
+};
+
+function lowDiskReason() {
+  return `Less than ${RECORDING_MIN_FREE_MB} MB free on the recordings disk`;
+}
+
+// Recording options for a channel's mixer, or null to not record
+function getRecordingOptions(channelId) {
+  if (!appConfig.recordingEnabled || recordingState.stoppedReason) {
+    return null;
+  }
+  if (!recordings.hasSpace()) {
+    recordingState.stoppedReason = lowDiskReason();
+    console.warn(`[Recording] Not recording: ${recordingState.stoppedReason}`);
+    return null;
+  }
+
+  recordings.ensureDirectory();
+  return {
+    directory: RECORDINGS_DIR,
+    name: channelId,
+    format: appConfig.recordingFormat,
+    segmentSeconds: appConfig.recordingSegmentMinutes * 60
+  };
+}
+
+// Disk guard: stop recording before the disk fills up
+async function checkRecordingSpace() {
+  const recordingChannels = [...channels.values()].filter(channel => channel.isRecording);
+  if (recordingChannels.length === 0 || recordings.hasSpace()) {
+    return;
+  }
+
+  recordingState.stoppedReason = lowDiskReason();
+  console.warn(`[Recording] Stopping recording: ${recordingState.stoppedReason}`);
+  for (const channel of recordingChannels) {
+    try {
+      await channel.setRecording(null);
+    } catch (error) {
+      console.error(`[Recording] Failed to stop recording channel ${channel.label}:`, error.message);
+    }
+  }
+}
+
+function getRecordingStatus() {
+  return {
+    enabled: appConfig.recordingEnabled,
+    channels: [...channels.entries()].filter(([id, channel]) => channel.isRecording).map(([id]) => id),
+    stoppedReason: recordingState.stoppedReason,
+    freeBytes: recordings.freeBytes(),
+    minFreeBytes: recordings.minFreeBytes
+  };
+}
+
+// Channel settings operators may change while streaming
+const LEVEL_SETTINGS = Object.keys(LEVEL_FIELDS);
+
+// Responds with 400 and the validation errors, if there are any
+function rejectInvalid(res, errors) {
+  if (errors.length === 0) {
+    return false;
+  }
+  res.status(400).json({ success: false, error: errors.join('; '), errors: errors });
+  return true;
+}
+
+// Event log filter and limit from a query or a WebSocket message
+function parseLogFilter(input) {
+  const { settings, errors } = validateSettings(input, LOG_FILTER_FIELDS);
+  const { limit, since, ...filter } = settings;
+  if (since !== undefined) {
+    filter.since = Date.parse(since);
+    if (Number.isNaN(filter.since)) {
+      errors.push(`since must be a date and time like "2026-01-31T18:00:00Z" (got ${JSON.stringify(since)})`);
+    }
+  }
+  return { filter, limit: limit || 200, errors };
+}
+
+// Apply volume/delay/ducking changes (validated against LEVEL_FIELDS) to a
+// channel, live where possible
+async function applyVolumes(channelId, changes) {
+  const settings = {};
+  LEVEL_SETTINGS.forEach(key => {
+    if (changes[key] !== undefined) {
+      settings[key] = changes[key];
+    }
+  });
+
+  // Persist configuration
+  updateChannelConfig(channelId, settings);
+
+  // Update mixer with new volumes and delays (applied live where possible)
+  const updated = getChannelSettings(channelId);
+  const result = await getChannel(channelId).updateVolumes(updated);
+
+  const applied = {};
+  LEVEL_SETTINGS.forEach(key => {
+    applied[key] = updated[key];
+  });
+
+  return {
+    live: result.live,
+    restarted: result.restarted,
+    settings: applied
+  };
+}
+
+// Measure a channel's translation offset and, with apply set and a
+// confident match, set the proposed delays like /api/volumes would
+async function calibrateChannel(channelId, body) {
+  const calibration = await getChannel(channelId).calibrate({
+    seconds: body.seconds,
+    maxOffsetMs: body.maxOffsetMs
+  });
+  if (!body.apply || !calibration.confident) {
+    return { calibration: calibration, applied: false };
+  }
+
+  const result = await applyVolumes(channelId, calibration.proposal);
+  return { calibration: calibration, applied: true, ...result };
+}
+
+// Start the main channel and every enabled language channel, then HLS.
+// Resolves with the result of each channel.
+async function startPipeline() {
+  console.log('Starting streaming pipeline...');
+  // Every start of the pipeline gets another go at recording
+  recordingState.stoppedReason = null;
+
+  const results = {};
+  for (const id of getChannelIds()) {
+    const settings = getChannelSettings(id);
+    if (!settings.enabled) {
+      continue;
+    }
+
+    try {
+      results[id] = { success: true, ...(await getChannel(id).start({ ...settings, recording: getRecordingOptions(id) })) };
+    } catch (error) {
+      console.error(`Failed to start channel ${settings.name}:`, error);
+      // error.actionReport: a required browser automation step failed
+      results[id] = { success: false, error: error.message, browserActions: error.actionReport };
+    }
+  }
+
+  if (results[MAIN_CHANNEL_ID].success && appConfig.hlsEnabled) {
+    try {
+      await startHls(Object.keys(results).filter(id => results[id].success));
+    } catch (hlsError) {
+      console.warn('Failed to start HLS packager:', hlsError.message);
+    }
+  }
+
+  return results;
+}
+
+async function stopPipeline() {
+  console.log('Stopping streaming pipeline...');
+  cancelAutoStop();
+  await hlsPackager.stop();
+  await stopAllChannels();
+}
+
+// Running, or waiting for the supervisor to restart it
+function isPipelineActive() {
+  const mixer = getChannel(MAIN_CHANNEL_ID).mixer;
+  return mixer.isRunning || mixer.supervisor.isRetrying;
+}
+
+// Whether any channel is live, including language channels started on
+// their own
+function isAnyChannelActive() {
+  return Array.from(channels.values()).some(channel =>
+    channel.isRunning || channel.mixer.supervisor.isRetrying || channel.starting);
+}
+
+// Starts and stops run one at a time, whether they come from the API or
+// from publish events
+let pipelineQueue = Promise.resolve();
+
+function queuePipelineTask(task) {
+  const run = pipelineQueue.then(task, task);
+  pipelineQueue = run.catch(() => {});
+  return run;
+}
+
+// Auto-start: a publish to the input path starts the pipeline, and the
+// publisher disconnecting stops it once the grace period has passed
+const autoStartState = {
+  publisherConnected: false,
+  stopTimer: null,
+  stopAt: null
+};
+
+// Stream path (e.g. /live/stream) of the configured RTMP input
+function getInputStreamPath() {
+  try {
+    return new URL(appConfig.rtmpInput).pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function cancelAutoStop() {
+  if (!autoStartState.stopTimer) {
+    return false;
+  }
+  clearTimeout(autoStartState.stopTimer);
+  autoStartState.stopTimer = null;
+  autoStartState.stopAt = null;
+  return true;
+}
+
+function handleInputPublished() {
+  autoStartState.publisherConnected = true;
+  if (!appConfig.autoStart) {
+    return;
+  }
+
+  if (cancelAutoStop()) {
+    console.log('[AutoStart] Publisher reconnected within the grace period, keeping the pipeline running');
+  }
+
+  queuePipelineTask(async () => {
+    if (isPipelineActive()) {
+      return;
+    }
+    console.log('[AutoStart] Publisher connected, starting pipeline...');
+    const results = await startPipeline();
+    if (!results[MAIN_CHANNEL_ID].success) {
+      console.error('[AutoStart] Failed to start pipeline:', results[MAIN_CHANNEL_ID].error);
+    }
+  }).catch(error => {
+    console.error('[AutoStart] Failed to start pipeline:', error.message);
+  });
+}
+
+function handleInputUnpublished() {
+  autoStartState.publisherConnected = false;
+  if (!appConfig.autoStart || !isPipelineActive()) {
+    return;
+  }
+
+  const graceSeconds = appConfig.autoStopGraceSeconds;
+  console.log(`[AutoStart] Publisher disconnected, stopping pipeline in ${graceSeconds}s unless it reconnects`);
+
+  cancelAutoStop();
+  autoStartState.stopAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+  autoStartState.stopTimer = setTimeout(() => {
+    autoStartState.stopTimer = null;
+    autoStartState.stopAt = null;
+    console.log('[AutoStart] Grace period over, stopping pipeline');
+    queuePipelineTask(stopPipeline).catch(error => {
+      console.error('[AutoStart] Failed to stop pipeline:', error.message);
+    });
+  }, graceSeconds * 1000);
+}
+
+function getAutoStartStatus() {
+  return {
+    enabled: appConfig.autoStart,
+    inputPath: getInputStreamPath(),
+    publisherConnected: autoStartState.publisherConnected,
+    stopAt: autoStartState.stopAt
+  };
+}
+
+// Authentication
+
+app.post('/api/auth/login', (req, res) => {
+  const ip = req.ip;
+  if (sessions.isLockedOut(ip)) {
+    return res.status(429).json({ success: false, error: 'Too many failed logins, try again later' });
+  }
+
+  const user = users.authenticate(req.body.username, req.body.password);
+  if (!user) {
+    sessions.recordLoginFailure(ip);
+    console.warn(`Failed login for "${req.body.username}" from ${ip}`);
+    return res.status(401).json({ success: false, error: 'Invalid username or password' });
+  }
+
+  sessions.clearLoginFailures(ip);
+  const token = sessions.create(user);
+  res.setHeader('Set-Cookie', sessionCookie(token, req));
+  // The token doubles as a Bearer token for scripts
+  res.json({ success: true, token: token, user: { id: user.id, username: user.username, role: user.role } });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  sessions.destroy(getRequestToken(req));
+  res.setHeader('Set-Cookie', sessionCookie('', req));
+  res.json({ success: true });
+});
+
+// Everything below needs a logged-in user
+app.use('/api', requireAuth);
+
+app.get('/api/auth/me', (req, res) => {
+  const { id, username, role } = req.user;
+  res.json({ id, username, role });
+});
+
+// Change your own password (other sessions of the user are logged out)
+app.post('/api/auth/password', (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!users.authenticate(req.user.username, currentPassword)) {
+    return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+  }
+  if (!newPassword) {
+    return res.status(400).json({ success: false, error: 'New password is required' });
+  }
+
+  try {
+    users.update(req.user.id, { password: newPassword });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  sessions.destroyForUser(req.user.id, getRequestToken(req));
+  res.json({ success: true });
+});
+
+// Users (admin only)
+
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json(users.list());
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+  try {
+    const user = users.create({
+      username: req.body.username,
+      password: req.body.password,
+      role: req.body.role || 'operator'
+    });
+    res.json({ success: true, user: user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/users/:id', requireAdmin, (req, res) => {
+  try {
+    const user = users.update(req.params.id, { password: req.body.password, role: req.body.role });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (req.body.password) {
+      sessions.destroyForUser(user.id, getRequestToken(req));
+    }
+    res.json({ success: true, user: user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ success: false, error: 'You cannot remove yourself' });
+  }
+
+  try {
+    if (!users.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    sessions.destroyForUser(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// API Routes
+
+// Get current configuration
+app.get('/api/config', (req, res) => {
+  res.json(maskConfig(appConfig));
+});
+
+// Update configuration
+app.post('/api/config', requireAdmin, async (req, res) => {
+  try {
+    const { destinations, channels, ...changes } = req.body || {};
+    const { settings, errors } = validateSettings(changes, CONFIG_FIELDS);
+    if (destinations !== undefined) {
+      errors.push('destinations are managed through /api/destinations');
+    }
+    if (channels !== undefined) {
+      errors.push('channels are managed through /api/channels');
+    }
+    if (rejectInvalid(res, errors)) {
+      return;
+    }
+
+    appConfig = { ...appConfig, ...settings };
+    saveConfig(appConfig); // Persist to file
+    res.json({ success: true, config: maskConfig(appConfig) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Profiles
+
+function withoutSystemSettings(config) {
+  const eventConfig = { ...config };
+  SYSTEM_SETTINGS.forEach(key => delete eventConfig[key]);
+  return eventConfig;
+}
+
+function getProfileStatus() {
+  const profile = profiles.active;
+  return { id: profile.id, name: profile.name };
+}
+
+// Make another profile the configuration. A live pipeline is stopped and
+// started again with the new profile.
+async function switchProfile(id) {
+  const wasLive = isAnyChannelActive();
+  if (wasLive) {
+    await stopPipeline();
+  }
+
+  const systemSettings = {};
+  SYSTEM_SETTINGS.forEach(key => {
+    systemSettings[key] = appConfig[key];
+  });
+
+  profiles.activate(id);
+  appConfig = { ...loadConfig(), ...systemSettings };
+  saveConfig(appConfig);
+
+  // Nothing could stop the previous profile's channels once they are dropped
+  await stopAllChannels();
+  channels.clear();
+
+  return wasLive ? startPipeline() : null;
+}
+
+// Any user may list profiles; switching and changing them needs an admin
+app.get('/api/profiles', (req, res) => {
+  res.json({ active: profiles.activeId, profiles: profiles.list() });
+});
+
+// Create an empty profile, which starts from the environment defaults
+app.post('/api/profiles', requireAdmin, (req, res) => {
+  try {
+    const profile = profiles.create(req.body.name, {});
+    res.json({ success: true, profile: profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/profiles/:id/clone', requireAdmin, (req, res) => {
+  const source = profiles.find(req.params.id);
+  if (!source) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+
+  try {
+    const name = req.body.name || profiles.uniqueName(`${source.name} copy`);
+    const profile = profiles.create(name, JSON.parse(JSON.stringify(source.config)));
+    res.json({ success: true, profile: profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/profiles/:id', requireAdmin, (req, res) => {
+  try {
+    const profile = profiles.rename(req.params.id, req.body.name);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    res.json({ success: true, profile: profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/profiles/:id', requireAdmin, (req, res) => {
+  const schedule = scheduler.entries.find(entry => entry.profileId === req.params.id);
+  if (schedule) {
+    return res.status(400).json({ success: false, error: `The schedule "${schedule.name}" uses this profile` });
+  }
+
+  try {
+    if (!profiles.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Switching while streaming is refused unless `force` is set
+app.post('/api/profiles/:id/activate', requireAdmin, async (req, res) => {
+  if (!profiles.find(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  if (req.params.id === profiles.activeId) {
+    return res.json({ success: true, profile: getProfileStatus(), results: null });
+  }
+  if (isAnyChannelActive() && !req.body.force) {
+    return res.status(409).json({ success: false, error: 'Streaming is live; stop it first or force the switch' });
+  }
+
+  try {
+    const results = await queuePipelineTask(() => switchProfile(req.params.id));
+    console.log(`Switched to profile "${profiles.active.name}"`);
+    res.json({ success: true, profile: getProfileStatus(), results: results });
+  } catch (error) {
+    console.error('Failed to switch profile:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download a profile as a JSON file. Stream keys are left out; they have to
+// be entered again after an import.
+app.get('/api/profiles/:id/export', requireAdmin, (req, res) => {
+  const profile = profiles.find(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+
+  // Complete with the defaults, so the file means the same on another server
+  const config = { ...getDefaultConfig(), ...migrateConfig({ ...profile.config }) };
+  const filename = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.json(exportProfile({ ...profile, config: maskConfig(withoutSystemSettings(config), stripDestination) }));
+});
+
+// Create a profile from an exported file (the file's JSON is the body)
+app.post('/api/profiles/import', requireAdmin, (req, res) => {
+  try {
+    const { name, config } = parseProfileExport(req.body);
+    const { settings, errors } = validateSettings(withoutSystemSettings(migrateConfig(config)), PROFILE_FIELDS);
+    if (rejectInvalid(res, errors)) {
+      return;
+    }
+    const profile = profiles.create(profiles.uniqueName(name || 'Imported'), settings);
+    res.json({ success: true, profile: profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Scheduled starts and stops, which run like the Start and Stop buttons. A
+// start can switch to a profile first.
+async function runScheduledEntry(entry) {
+  return queuePipelineTask(async () => {
+    if (entry.action === 'stop') {
+      if (!isPipelineActive()) {
+        return 'Streaming was already stopped';
+      }
+      await stopPipeline();
+      return 'Streaming stopped';
+    }
+
+    if (entry.profileId && entry.profileId !== profiles.activeId) {
+      if (!profiles.find(entry.profileId)) {
+        throw new Error('Profile not found');
+      }
+      await switchProfile(entry.profileId);
+      console.log(`Switched to profile "${profiles.active.name}"`);
+    }
+
+    if (isPipelineActive()) {
+      return `Streaming with profile "${profiles.active.name}"`;
+    }
+    const results = await startPipeline();
+    if (!results[MAIN_CHANNEL_ID].success) {
+      throw new Error(results[MAIN_CHANNEL_ID].error);
+    }
+    return `Streaming started with profile "${profiles.active.name}"`;
+  });
+}
+
+const scheduler = new Scheduler(SCHEDULES_FILE, runScheduledEntry);
+
+function withProfileName(entry) {
+  const profile = entry.profileId ? profiles.find(entry.profileId) : null;
+  return { ...entry, profileName: profile ? profile.name : null };
+}
+
+function getScheduleStatus() {
+  const next = scheduler.getNext();
+  return { next: next ? withProfileName(next) : null };
+}
+
+// Checks a schedule's profile, if it selects one
+function validateScheduleProfile(settings) {
+  if (settings.profileId && !profiles.find(settings.profileId)) {
+    return ['profileId must be the id of a profile'];
+  }
+  return [];
+}
+
+// Any user may see the schedule; changing it needs an admin
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: scheduler.list().map(withProfileName), next: getScheduleStatus().next });
+});
+
+app.post('/api/schedules', requireAdmin, (req, res) => {
+  const { settings, errors } = validateSettings(req.body, SCHEDULE_FIELDS);
+  if (rejectInvalid(res, errors.concat(validateScheduleProfile(settings)))) {
+    return;
+  }
+
+  try {
+    const entry = scheduler.create(settings);
+    console.log(`Schedule "${entry.name}" created`);
+    res.json({ success: true, schedule: withProfileName(entry) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/schedules/:id', requireAdmin, (req, res) => {
+  const { settings, errors } = validateSettings(req.body, SCHEDULE_FIELDS);
+  if (rejectInvalid(res, errors.concat(validateScheduleProfile(settings)))) {
+    return;
+  }
+
+  try {
+    const entry = scheduler.update(req.params.id, settings);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true, schedule: withProfileName(entry) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id', requireAdmin, (req, res) => {
+  if (!scheduler.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  res.json({ success: true });
+});
+
+// Webhooks (admin only: their URLs often carry tokens)
+app.get('/api/webhooks', requireAdmin, (req, res) => {
+  res.json({ webhooks: webhooks.webhooks.map(maskWebhook), events: WEBHOOK_EVENTS });
+});
+
+app.post('/api/webhooks', requireAdmin, (req, res) => {
+  const { settings, errors } = validateSettings(req.body, WEBHOOK_FIELDS);
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
+
+  try {
+    const webhook = webhooks.create(settings);
+    addSecrets([webhook.secret]);
+    console.log(`Webhook "${webhook.name}" created`);
+    res.json({ success: true, webhook: maskWebhook(webhook) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/webhooks/:id', requireAdmin, (req, res) => {
+  const { settings, errors } = validateSettings(req.body, WEBHOOK_FIELDS);
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
+
+  try {
+    const webhook = webhooks.update(req.params.id, settings);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    addSecrets([webhook.secret]);
+    res.json({ success: true, webhook: maskWebhook(webhook) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireAdmin, (req, res) => {
+  if (!webhooks.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true });
+});
+
+// Send a test event and report how the first attempt went
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
+  const delivery = await webhooks.test(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: delivery.status === 'delivered', delivery: delivery, error: delivery.error || undefined });
+});
+
+// Recent deliveries, newest first (?webhookId= for one webhook)
+app.get('/api/webhooks/deliveries', requireAdmin, (req, res) => {
+  res.json({ deliveries: webhooks.getDeliveries(req.query.webhookId) });
+});
+
+// Event log entries, oldest first. Filters: ?level= (the lowest level),
+// source, channel, search, since, after (an entry id) and limit. Admins
+// only: the log shows input URLs, destinations and ingest addresses.
+app.get('/api/logs', requireAdmin, (req, res) => {
+  const { filter, limit, errors } = parseLogFilter(req.query);
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
+  res.json({ entries: eventLog.query(filter, limit), sources: eventLog.getSources(), levels: LOG_LEVELS });
+});
+
+// The main channel's pipeline and everything shared by the channels
+function getMainStatus() {
+  const main = getChannelStatus(MAIN_CHANNEL_ID);
+  return {
+    browser: main.browser,
+    mixer: main.mixer,
+    failover: main.failover,
+    destinations: main.destinations,
+    hls: getHlsStatus(),
+    autoStart: getAutoStartStatus(),
+    profile: getProfileStatus(),
+    schedule: getScheduleStatus(),
+    recording: getRecordingStatus()
+  };
+}
+
+// Get status
+app.get('/api/status', (req, res) => {
+  res.json({
+    ...getMainStatus(),
+    channels: getChannelIds().map(getChannelStatus),
+    ingest: hasRole(req.user, 'admin') ? getIngestStatus() : undefined
+  });
+});
+
+// Start streaming on the main channel and every enabled language channel
+app.post('/api/start', async (req, res) => {
+  try {
+    const results = await queuePipelineTask(startPipeline);
+
+    const main = results[MAIN_CHANNEL_ID];
+    if (!main.success) {
+      return res.status(500).json({ success: false, error: main.error, browserActions: main.browserActions, channels: results });
+    }
+
+    const message = main.hasBrowserAudio
+      ? 'Streaming started with browser audio'
+      : 'Streaming started (browser audio unavailable)';
+
+    res.json({
+      success: true,
+      message: message,
+      hasBrowserAudio: main.hasBrowserAudio,
+      destinations: main.destinations,
+      browserActions: main.browserActions,
+      channels: results
+    });
+  } catch (error) {
+    console.error('Failed to start streaming:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stop streaming on all channels
+app.post('/api/stop', async (req, res) => {
+  try {
+    await queuePipelineTask(stopPipeline);
+    res.json({ success: true, message: 'Streaming stopped' });
+  } catch (error) {
+    console.error('Failed to stop streaming:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update volumes and delays of the main channel
+app.post('/api/volumes', async (req, res) => {
+  try {
+    const { settings, errors } = validateSettings(req.body, LEVEL_FIELDS);
+    if (rejectInvalid(res, errors)) {
+      return;
+    }
+
+    const result = await applyVolumes(MAIN_CHANNEL_ID, settings);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Failed to update volumes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Calibrate the main channel's A/V sync (takes as long as the recording)
+app.post('/api/calibrate', async (req, res) => {
+  try {
+    const result = await calibrateChannel(MAIN_CHANNEL_ID, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Failed to calibrate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Channels
+
+// List all channels (main first) with their pipeline status
+app.get('/api/channels', (req, res) => {
+  res.json(getChannelIds().map(id => ({
+    ...maskConfig(getChannelSettings(id)),
+    status: getChannelStatus(id)
+  })));
+});
+
+// Add a language channel
+app.post('/api/channels', requireAdmin, (req, res) => {
+  const { destinations, ...fields } = req.body || {};
+  const { settings, errors } = validateSettings(fields, CHANNEL_FIELDS);
+  const newDestinations = (Array.isArray(destinations) ? destinations : [])
+    .filter(d => d && d.url)
+    .map((destination, index) => {
+      const validated = validateSettings(destination, DESTINATION_FIELDS);
+      validated.errors.forEach(error => errors.push(`destinations[${index}]: ${error}`));
+      return validated.settings;
+    });
+  if (!settings.name) {
+    errors.unshift('Channel name is required');
+  }
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
+
+  const channelConfig = {
+    ...CHANNEL_DEFAULTS,
+    ...settings,
+    id: createChannelId(settings.language || settings.name),
+    destinations: newDestinations.map(createDestination)
+  };
+
+  appConfig.channels = [...appConfig.channels, channelConfig];
+  saveConfig(appConfig);
+
+  res.json({ success: true, channel: maskConfig(channelConfig) });
+});
+
+// Update a language channel (restart it to pick up source changes)
+app.put('/api/channels/:channelId', requireAdmin, (req, res) => {
+  const { channelId } = req.params;
+  if (channelId === MAIN_CHANNEL_ID) {
+    return res.status(400).json({ success: false, error: 'Edit the main channel through /api/config' });
+  }
+  if (!findChannelConfig(channelId)) {
+    return res.status(404).json({ success: false, error: 'Channel not found' });
+  }
+
+  // id and destinations can't be changed here and are ignored
+  const { id, destinations, ...changes } = req.body || {};
+  const { settings, errors } = validateSettings(changes, CHANNEL_FIELDS);
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
+  updateChannelConfig(channelId, settings);
+
+  res.json({ success: true, channel: maskConfig(findChannelConfig(channelId)) });
+});
+
+// Remove a language channel, stopping its pipeline first
+app.delete('/api/channels/:channelId', requireAdmin, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    if (channelId === MAIN_CHANNEL_ID) {
+      return res.status(400).json({ success: false, error: 'The main channel cannot be removed' });
+    }
+    if (!findChannelConfig(channelId)) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    if (channels.has(channelId)) {
+      await channels.get(channelId).stop();
+      channels.delete(channelId);
+    }
+
+    appConfig.channels = appConfig.channels.filter(c => c.id !== channelId);
+    saveConfig(appConfig);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to remove channel:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Start a single channel
+app.post('/api/channels/:channelId/start', async (req, res) => {
+  try {
+    const settings = getChannelSettings(req.params.channelId);
+    if (!settings) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    const result = await getChannel(settings.id).start({ ...settings, recording: getRecordingOptions(settings.id) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Failed to start channel:', error);
+    res.status(500).json({ success: false, error: error.message, browserActions: error.actionReport });
+  }
+});
+
+// Stop a single channel without affecting the others
+app.post('/api/channels/:channelId/stop', async (req, res) => {
+  try {
+    if (!channelExists(req.params.channelId)) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    await getChannel(req.params.channelId).stop();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to stop channel:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update volumes and delays of a single channel
+app.post('/api/channels/:channelId/volumes', async (req, res) => {
+  try {
+    if (!channelExists(req.params.channelId)) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    const { settings, errors } = validateSettings(req.body, LEVEL_FIELDS);
+    if (rejectInvalid(res, errors)) {
+      return;
+    }
+
+    const result = await applyVolumes(req.params.channelId, settings);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Failed to update volumes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/channels/:channelId/calibrate', async (req, res) => {
+  try {
+    if (!channelExists(req.params.channelId)) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    const result = await calibrateChannel(req.params.channelId, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Failed to calibrate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Destinations
+//
+// /api/destinations manages the main channel's destinations and
+// /api/channels/:channelId/destinations those of a language channel.
+const destinationsRouter = express.Router({ mergeParams: true });
+
+destinationsRouter.use((req, res, next) => {
+  req.channelId = req.params.channelId || MAIN_CHANNEL_ID;
+  if (!channelExists(req.channelId)) {
+    return res.status(404).json({ success: false, error: 'Channel not found' });
+  }
+  next();
+});
+
+function createDestination({ name, url, key, enabled }) {
+  return {
+    id: crypto.randomUUID(),
+    name: name || url,
+    url: url,
+    key: key || '',
+    enabled: enabled !== false
+  };
+}
+
+function getDestinationList(channelId) {
+  return getChannelSettings(channelId).destinations || [];
+}
+
+function findDestination(channelId, id) {
+  return getDestinationList(channelId).find(d => d.id === id);
+}
+
+// List destinations with relay status
+destinationsRouter.get('/', (req, res) => {
+  const channel = getChannel(req.channelId);
+  res.json(getDestinationList(req.channelId).map(destination => ({
+    ...maskDestination(destination),
+    status: channel.getRelayStatus(destination.id)
+  })));
+});
+
+// Add a destination
+destinationsRouter.post('/', requireAdmin, (req, res) => {
+  const { settings, errors } = validateSettings(req.body, DESTINATION_FIELDS);
+  if (!req.body || !req.body.url) {
+    errors.unshift('Destination URL is required');
+  }
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
+
+  const destination = createDestination(settings);
+
+  updateChannelConfig(req.channelId, {
+    destinations: [...getDestinationList(req.channelId), destination]
+  });
+
+  res.json({ success: true, destination: maskDestination(destination) });
+});
+
+// Update a destination (a running relay is restarted to pick up URL/key changes)
+destinationsRouter.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const existing = findDestination(req.channelId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+
+    // The stream key is write-only: leave it out to keep the current one
+    const { settings, errors } = validateSettings(req.body, DESTINATION_FIELDS);
+    if (rejectInvalid(res, errors)) {
+      return;
+    }
+
+    const { name, url, key, enabled } = settings;
+    const destination = {
+      ...existing,
+      ...(name !== undefined && { name }),
+      ...(url !== undefined && { url }),
+      ...(key !== undefined && { key }),
+      ...(enabled !== undefined && { enabled: !!enabled })
+    };
+
+    updateChannelConfig(req.channelId, {
+      destinations: getDestinationList(req.channelId).map(d => d.id === destination.id ? destination : d)
+    });
+
+    const channel = getChannel(req.channelId);
+    const relay = channel.relays.get(destination.id);
+    if (relay && relay.isRunning && (destination.url !== existing.url || destination.key !== existing.key)) {
+      await channel.startDestination(destination);
+    }
+
+    res.json({ success: true, destination: maskDestination(destination) });
+  } catch (error) {
+    console.error('Failed to update destination:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a destination
+destinationsRouter.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!findDestination(req.channelId, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+
+    await getChannel(req.channelId).removeDestination(req.params.id);
+
+    updateChannelConfig(req.channelId, {
+      destinations: getDestinationList(req.channelId).filter(d => d.id !== req.params.id)
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to remove destination:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Start a single destination while the channel's mixer is running
+destinationsRouter.post('/:id/start', async (req, res) => {
+  try {
+    const destination = findDestination(req.channelId, req.params.id);
+    if (!destination) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
 
-// Initialize components
-const browserAudio = new BrowserAudioCapture();
-const mixer = new RTMPMixer();
+    const channel = getChannel(req.channelId);
+    if (!channel.isRunning) {
+      return res.status(409).json({ success: false, error: 'Mixer is not running' });
+    }
 
-// Load saved configuration or use defaults
-function loadConfig() {
-  const defaultConfig = {
-    rtmpInput: `rtmp://localhost:${process.env.RTMP_INPUT_PORT || 1935}/live/stream`,
-    rtmpOutputUrl: process.env.RTMP_OUTPUT_URL || '',
-    rtmpOutputKey: process.env.RTMP_OUTPUT_KEY || '',
-    browserUrl: process.env.BROWSER_URL || '',
-    browserWidth: parseInt(process.env.BROWSER_WIDTH) || 1920,
-    browserHeight: parseInt(process.env.BROWSER_HEIGHT) || 1080,
-    rtmpVolume: parseInt(process.env.RTMP_AUDIO_VOLUME) || 100,
-    browserVolume: parseInt(process.env.BROWSER_AUDIO_VOLUME) || 100,
-    rtmpDelay: parseInt(process.env.RTMP_AUDIO_DELAY) || 0,
-    browserDelay: parseInt(process.env.BROWSER_AUDIO_DELAY) || 0,
-    videoBitrate: process.env.VIDEO_BITRATE || '6000k',
-    browserActions: [],
-    browserCustomJs: process.env.BROWSER_CUSTOM_JS || '',
-    audioMode: process.env.AUDIO_MODE || 'browser',
-    audioDeviceName: process.env.AUDIO_DEVICE_NAME || '',
-    audioUrl: process.env.AUDIO_URL || ''
-  };
+    await channel.startDestination(destination);
+    res.json({ success: true, status: channel.getRelayStatus(destination.id) });
+  } catch (error) {
+    console.error('Failed to start destination:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+// Stop a single destination without affecting the others
+destinationsRouter.post('/:id/stop', async (req, res) => {
   try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const savedConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-      console.log('Loaded configuration from config.json');
-      return { ...defaultConfig, ...savedConfig };
+    if (!findDestination(req.channelId, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
     }
+
+    const channel = getChannel(req.channelId);
+    await channel.stopDestination(req.params.id);
+    res.json({ success: true, status: channel.getRelayStatus(req.params.id) });
   } catch (error) {
-    console.error('Error loading config.json:', error.message);
+    console.error('Failed to stop destination:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
+});
+
+app.use(['/api/destinations', '/api/channels/:channelId/destinations'], destinationsRouter);
+
+// Recordings
 
-  console.log('Using default configuration');
-  return defaultConfig;
+// Any user may list and download recordings; deleting one needs an admin
+function getRecordingList() {
+  const files = recordings.list();
+  // The newest segment of a channel that is recording is still being written
+  const inProgress = getRecordingStatus().channels
+    .map(id => files.find(file => file.channel === id))
+    .filter(Boolean)
+    .map(file => file.name);
+  return files.map(file => ({ ...file, inProgress: inProgress.includes(file.name) }));
 }
 
-// Save configuration to file
-function saveConfig(config) {
-  try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-    console.log('Configuration saved to config.json');
-  } catch (error) {
-    console.error('Error saving config.json:', error.message);
+app.get('/api/recordings', (req, res) => {
+  res.json({ recording: getRecordingStatus(), files: getRecordingList() });
+});
+
+app.get('/api/recordings/:name', (req, res) => {
+  const filePath = recordings.filePath(req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ success: false, error: 'Recording not found' });
   }
-}
+  res.download(filePath);
+});
 
-// Store current configuration
-let appConfig = loadConfig();
+app.delete('/api/recordings/:name', requireAdmin, (req, res) => {
+  const file = getRecordingList().find(f => f.name === req.params.name);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'Recording not found' });
+  }
+  if (file.inProgress) {
+    return res.status(409).json({ success: false, error: 'This segment is still being recorded' });
+  }
 
-// Parse browser actions from env
-try {
-  if (process.env.BROWSER_ACTIONS) {
-    appConfig.browserActions = JSON.parse(process.env.BROWSER_ACTIONS);
+  try {
+    recordings.remove(file.name);
+    console.log(`Deleted recording ${file.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
-} catch (error) {
-  console.error('Failed to parse BROWSER_ACTIONS:', error);
-}
+});
 
-// API Routes
+// HLS
 
-// Get current configuration
-app.get('/api/config', (req, res) => {
-  res.json(appConfig);
+// Packager status and master playlist location
+app.get('/api/hls', (req, res) => {
+  res.json(getHlsStatus());
 });
 
-// Update configuration
-app.post('/api/config', async (req, res) => {
+// (Re)start the packager with every channel that is currently running
+app.post('/api/hls/start', async (req, res) => {
   try {
-    appConfig = { ...appConfig, ...req.body };
-    saveConfig(appConfig); // Persist to file
-    res.json({ success: true, config: appConfig });
+    await startHls(getChannelIds().filter(id => getChannel(id).isRunning));
+    res.json({ success: true, hls: getHlsStatus() });
   } catch (error) {
+    console.error('Failed to start HLS packager:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get status
-app.get('/api/status', (req, res) => {
-  res.json({
-    browser: browserAudio.getStatus(),
-    mixer: mixer.getStatus()
-  });
+app.post('/api/hls/stop', async (req, res) => {
+  try {
+    await hlsPackager.stop();
+    res.json({ success: true, hls: getHlsStatus() });
+  } catch (error) {
+    console.error('Failed to stop HLS packager:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// Start streaming
-app.post('/api/start', async (req, res) => {
-  try {
-    console.log('Starting streaming pipeline...');
-    console.log('Audio Mode:', appConfig.audioMode);
-
-    let browserAudioPath = null;
-
-    // Handle different audio modes
-    switch (appConfig.audioMode) {
-      case 'browser':
-        // Browser audio capture with automation
-        if (appConfig.browserUrl) {
-          try {
-            console.log('Attempting to start browser audio capture...');
-            await browserAudio.init({
-              url: appConfig.browserUrl,
-              width: appConfig.browserWidth,
-              height: appConfig.browserHeight,
-              actions: appConfig.browserActions,
-              customJs: appConfig.browserCustomJs,
-              mode: 'browser'
-            });
-
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            browserAudioPath = await browserAudio.getAudioStream();
-            console.log('Browser audio capture started successfully');
-          } catch (browserError) {
-            console.warn('Browser audio capture failed, continuing without it:', browserError.message);
-            browserAudioPath = null;
-          }
-        } else {
-          console.log('No browser URL configured, skipping browser audio capture');
-        }
-        break;
-
-      case 'device':
-        // Virtual audio device capture (BlackHole/PulseAudio)
-        if (appConfig.audioDeviceName) {
-          try {
-            console.log(`Capturing from audio device: ${appConfig.audioDeviceName}`);
-            await browserAudio.init({
-              url: appConfig.browserUrl,
-              width: appConfig.browserWidth,
-              height: appConfig.browserHeight,
-              actions: appConfig.browserActions,
-              customJs: appConfig.browserCustomJs,
-              mode: 'device',
-              deviceName: appConfig.audioDeviceName
-            });
-
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            browserAudioPath = await browserAudio.getAudioStream();
-            console.log('Device audio capture started successfully');
-          } catch (deviceError) {
-            console.warn('Device audio capture failed, continuing without it:', deviceError.message);
-            browserAudioPath = null;
-          }
-        } else {
-          console.warn('No audio device name configured');
-        }
-        break;
-
-      case 'url':
-        // Direct audio URL ingestion
-        if (appConfig.audioUrl) {
-          console.log(`Using direct audio URL: ${appConfig.audioUrl}`);
-          browserAudioPath = appConfig.audioUrl;
-        } else {
-          console.warn('No audio URL configured');
-        }
-        break;
+// Ingest keys
 
-      case 'disabled':
-        console.log('Audio mixing disabled - RTMP passthrough only');
-        break;
+function getIngestStatus() {
+  return {
+    enabled: appConfig.ingestAuth,
+    keys: ingestKeys.list(),
+    recentRejections: ingestKeys.recentRejections
+  };
+}
 
-      default:
-        console.warn(`Unknown audio mode: ${appConfig.audioMode}`);
-    }
+app.get('/api/ingest-keys', requireAdmin, (req, res) => {
+  res.json(getIngestStatus());
+});
 
-    // Construct output RTMP URL
-    const outputRtmpUrl = `${appConfig.rtmpOutputUrl}/${appConfig.rtmpOutputKey}`;
+// Create a key. The response is the only time the key itself is shown.
+app.post('/api/ingest-keys', requireAdmin, (req, res) => {
+  const { settings, errors } = validateSettings(req.body, INGEST_KEY_FIELDS);
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
 
-    // Start mixer (with or without browser audio)
-    await mixer.start({
-      inputRtmpUrl: appConfig.rtmpInput,
-      outputRtmpUrl: outputRtmpUrl,
-      browserAudioPath: browserAudioPath,
-      rtmpVolume: appConfig.rtmpVolume,
-      browserVolume: appConfig.browserVolume,
-      rtmpDelay: appConfig.rtmpDelay,
-      browserDelay: appConfig.browserDelay,
-      videoBitrate: appConfig.videoBitrate
-    });
+  const key = ingestKeys.create(settings.name);
+  res.json({ success: true, key: key });
+});
 
-    const message = browserAudioPath
-      ? 'Streaming started with browser audio'
-      : 'Streaming started (browser audio unavailable)';
+// Replace a key's secret, e.g. after it leaked
+app.post('/api/ingest-keys/:id/rotate', requireAdmin, (req, res) => {
+  const key = ingestKeys.rotate(req.params.id);
+  if (!key) {
+    return res.status(404).json({ success: false, error: 'Ingest key not found' });
+  }
+  res.json({ success: true, key: key });
+});
 
-    res.json({ success: true, message: message, hasBrowserAudio: !!browserAudioPath });
-  } catch (error) {
-    console.error('Failed to start streaming:', error);
-    res.status(500).json({ success: false, error: error.message });
+app.delete('/api/ingest-keys/:id', requireAdmin, (req, res) => {
+  if (!ingestKeys.revoke(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Ingest key not found' });
   }
+  res.json({ success: true });
 });
 
-// Stop streaming
-app.post('/api/stop', async (req, res) => {
-  try {
-    console.log('Stopping streaming pipeline...');
+// Prometheus metrics
 
-    // Stop mixer
-    try {
-      await mixer.stop();
-    } catch (mixerError) {
-      console.warn('Error stopping mixer:', mixerError.message);
+// Scrapers authenticate with METRICS_TOKEN as a Bearer token; a logged-in
+// session works too, for a quick look from the browser
+function requireMetricsAccess(req, res, next) {
+  const token = getRequestToken(req);
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken && token) {
+    const expected = crypto.createHash('sha256').update(metricsToken).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    if (crypto.timingSafeEqual(expected, actual)) {
+      return next();
     }
+  }
+  if (getRequestUser(req)) {
+    return next();
+  }
+  res.status(401).type('text/plain').send('Unauthorized\n');
+}
 
-    // Cleanup browser (even if it wasn't started)
-    try {
-      await browserAudio.cleanup();
-    } catch (browserError) {
-      console.warn('Error cleaning up browser:', browserError.message);
-    }
+// Process, encoder and restart metrics of one FFmpeg process (mixer, relay
+// or HLS packager), from its getStatus()
+function addProcessMetrics(metrics, kind, labels, status) {
+  const stats = status.stats || {};
+  const supervisor = status.supervisor || {};
 
-    res.json({ success: true, message: 'Streaming stopped' });
-  } catch (error) {
-    console.error('Failed to stop streaming:', error);
-    res.status(500).json({ success: false, error: error.message });
+  metrics.gauge(`${kind}_running`, `Whether the ${kind} FFmpeg process is running`, labels, status.isRunning);
+  metrics.gauge(`${kind}_uptime_seconds`, `Seconds since the ${kind} FFmpeg process started`, labels, stats.uptimeSeconds);
+  metrics.gauge(`${kind}_fps`, `Frames per second the ${kind} is processing`, labels, stats.fps);
+  metrics.gauge(`${kind}_bitrate_kbps`, `Output bitrate of the ${kind} in kbit/s`, labels, stats.bitrateKbps);
+  metrics.gauge(`${kind}_speed`, `Processing speed of the ${kind} relative to real time`, labels, stats.speed);
+  metrics.counter(`${kind}_frames_total`, `Frames output by the current ${kind} process`, labels, stats.frames);
+  metrics.counter(`${kind}_dropped_frames_total`, `Frames dropped by the current ${kind} process`, labels, stats.dropFrames);
+  metrics.counter(`${kind}_duplicated_frames_total`, `Frames duplicated by the current ${kind} process`, labels, stats.dupFrames);
+  metrics.counter(`${kind}_output_bytes_total`, `Bytes output by the current ${kind} process`, labels, stats.outputBytes);
+  metrics.gauge(`${kind}_last_progress_timestamp_seconds`, `Unix time of the last ${kind} progress report`, labels,
+    stats.updatedAt ? Date.parse(stats.updatedAt) / 1000 : null);
+  metrics.counter(`${kind}_restarts_total`, `Automatic restarts of the ${kind} since it was last started manually`, labels, supervisor.restartCount);
+  metrics.gauge(`${kind}_gave_up`, `Whether automatic restarts of the ${kind} were given up`, labels, supervisor.gaveUp);
+}
+
+function addMixerLevelMetrics(metrics, labels, levels) {
+  ['master', 'original', 'translation'].forEach(source => {
+    const level = levels[source];
+    if (level) {
+      metrics.gauge('mixer_peak_dbfs', 'Peak audio level of the last 100ms in dBFS', { ...labels, source: source }, level.peak);
+      metrics.gauge('mixer_rms_dbfs', 'RMS audio level of the last 100ms in dBFS', { ...labels, source: source }, level.rms);
+    }
+  });
+  if (levels.loudness) {
+    const windows = { momentary: 'momentary', shortTerm: 'short_term', integrated: 'integrated' };
+    Object.entries(windows).forEach(([key, window]) => {
+      metrics.gauge('mixer_loudness_lufs', 'EBU R128 loudness of the program in LUFS', { ...labels, window: window }, levels.loudness[key]);
+    });
   }
-});
+}
 
-// Update volumes and delays
-app.post('/api/volumes', async (req, res) => {
-  try {
-    const { rtmpVolume, browserVolume, rtmpDelay, browserDelay } = req.body;
+// Sessions publishing to the RTMP server: the encoder on the input path and
+// our own mixers on mix/<channel>
+function addIngestMetrics(metrics) {
+  const inputPath = getInputStreamPath();
+  let inputConnected = false;
 
-    if (rtmpVolume !== undefined) {
-      appConfig.rtmpVolume = rtmpVolume;
+  nmsContext.sessions.forEach(session => {
+    if (!session.isPublishing || !session.publishStreamPath) {
+      return;
     }
-    if (browserVolume !== undefined) {
-      appConfig.browserVolume = browserVolume;
+    const labels = { stream: session.publishStreamPath };
+    if (session.publishStreamPath === inputPath) {
+      inputConnected = true;
+    }
+
+    metrics.gauge('ingest_uptime_seconds', 'Seconds since the publisher connected', labels,
+      Math.floor((Date.now() - session.startTimestamp) / 1000));
+    metrics.counter('ingest_received_bytes_total', 'Bytes received from the publisher', labels, session.socket.bytesRead);
+    metrics.gauge('ingest_bitrate_kbps', 'Incoming bitrate of the publisher in kbit/s', labels, session.bitrate);
+    metrics.gauge('ingest_video_fps', 'Video frame rate announced by the publisher', labels, session.videoFps || null);
+    metrics.gauge('ingest_video_width', 'Video width of the publisher', labels, session.videoWidth || null);
+    metrics.gauge('ingest_video_height', 'Video height of the publisher', labels, session.videoHeight || null);
+    metrics.gauge('ingest_audio_sample_rate', 'Audio sample rate of the publisher', labels, session.audioSamplerate || null);
+    metrics.gauge('ingest_players', 'Players reading the published stream', labels, session.players.size);
+  });
+
+  metrics.gauge('ingest_publisher_connected', 'Whether an encoder is publishing to the RTMP input', { stream: inputPath }, inputConnected);
+}
+
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+  const metrics = new MetricsWriter('translation_mixer_');
+
+  getChannelIds().forEach(id => {
+    const status = getChannelStatus(id);
+    const labels = { channel: id };
+
+    metrics.gauge('channel_running', 'Whether the channel pipeline is running', labels, status.isRunning);
+    metrics.gauge('channel_recording', 'Whether the channel is being recorded', labels, status.recording);
+    addProcessMetrics(metrics, 'mixer', labels, status.mixer);
+    ['original', 'translation'].forEach(source => {
+      metrics.gauge('channel_silent', 'Whether a source has been silent for the silence duration', { ...labels, source: source },
+        status.mixer.silence[source].silent);
+    });
+    metrics.gauge('channel_silence_fallback', 'Whether the original is at full level because the translation is silent', labels,
+      status.mixer.silence.fallback);
+    const watchdog = status.browser.watchdog;
+    if (watchdog.active) {
+      metrics.gauge('browser_healthy', 'Whether the watchdog found the translation page healthy', labels,
+        watchdog.healthy === null ? null : watchdog.healthy);
+      metrics.counter('browser_heals_total', 'Healing steps the watchdog took on the translation page', labels, watchdog.healCount);
     }
-    if (rtmpDelay !== undefined) {
-      appConfig.rtmpDelay = rtmpDelay;
+    if (status.failover.enabled) {
+      status.failover.sources.forEach((source, index) => {
+        const sourceLabels = { ...labels, source: source.name };
+        metrics.gauge('audio_source_healthy', 'Whether a source of the failover chain is healthy', sourceLabels, source.healthy);
+        metrics.gauge('audio_source_active', 'Whether a source of the failover chain is the audible one', sourceLabels,
+          index === status.failover.active);
+      });
+      metrics.counter('audio_source_switches_total', 'Switches between the sources of the failover chain', labels,
+        status.failover.switches);
     }
-    if (browserDelay !== undefined) {
-      appConfig.browserDelay = browserDelay;
+    if (status.isRunning) {
+      addMixerLevelMetrics(metrics, labels, getChannel(id).getLevels());
     }
 
-    // Persist configuration
-    saveConfig(appConfig);
+    status.destinations.forEach(destination => {
+      addProcessMetrics(metrics, 'relay', { ...labels, destination: destination.id, name: destination.name }, destination);
+    });
+  });
 
-    // Update mixer with new volumes and delays
-    await mixer.updateVolumes(appConfig.rtmpVolume, appConfig.browserVolume, appConfig.rtmpDelay, appConfig.browserDelay);
+  addProcessMetrics(metrics, 'hls', {}, hlsPackager.getStatus());
+  addIngestMetrics(metrics);
+  metrics.gauge('recording_disk_free_bytes', 'Free space on the recordings disk', {}, recordings.freeBytes());
 
-    res.json({
-      success: true,
-      settings: {
-        rtmpVolume: appConfig.rtmpVolume,
-        browserVolume: appConfig.browserVolume,
-        rtmpDelay: appConfig.rtmpDelay,
-        browserDelay: appConfig.browserDelay
-      }
-    });
-  } catch (error) {
-    console.error('Failed to update volumes:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
+  res.type('text/plain; version=0.0.4').send(metrics.toString());
 });
 
-// Execute browser action
-app.post('/api/browser/action', async (req, res) => {
+// Execute browser action on the main channel's page
+// Takes one step or { actions: [...] } and responds with the run's report
+app.post('/api/browser/action', requireAdmin, async (req, res) => {
+  const actions = Array.isArray(req.body.actions) ? req.body.actions : [req.body];
+  const errors = validateActions(actions, 'actions');
+  if (rejectInvalid(res, errors)) {
+    return;
+  }
+
   try {
-    const action = req.body;
-    await browserAudio.executeAction(action);
-    res.json({ success: true });
+    const report = await getChannel(MAIN_CHANNEL_ID).browserAudio.runActions(actions);
+    res.json({ success: report.success, error: report.error || undefined, report: report });
   } catch (error) {
     console.error('Failed to execute browser action:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -308,12 +1955,65 @@ const nmsConfig = {
 
 const nms = new NodeMediaServer(nmsConfig);
 
+// Checks a publish against the ingest keys. Our own mixers publish their
+// program feeds to mix/<channel> from localhost and need no key; nobody
+// else may publish there.
+function authorizePublish(session, streamPath, args) {
+  if (streamPath.startsWith('/mix/')) {
+    return session.isLocal ? null : 'mix feeds only accept local publishers';
+  }
+  if (!appConfig.ingestAuth) {
+    return null;
+  }
+  if (!args.key) {
+    return 'missing stream key';
+  }
+  const entry = ingestKeys.verify(args.key);
+  if (!entry) {
+    return 'invalid stream key';
+  }
+  console.log(`[IngestAuth] Publish to ${streamPath} authorized with key "${entry.name}"`);
+  return null;
+}
+
 nms.on('prePublish', (id, StreamPath, args) => {
   console.log('[NodeMediaServer] Stream published:', StreamPath);
+
+  const session = nms.getSession(id);
+  if (!session) {
+    return;
+  }
+
+  const reason = authorizePublish(session, StreamPath, args);
+  if (reason) {
+    console.warn(`[IngestAuth] Rejected publish to ${StreamPath} from ${session.ip}: ${reason}`);
+    ingestKeys.recordRejection({ streamPath: StreamPath, ip: session.ip, reason: reason });
+    session.reject();
+  }
+});
+
+// Publishes to mix/<channel> are our own mixers; only the input drives auto-start
+nms.on('postPublish', (id, StreamPath, args) => {
+  if (StreamPath.startsWith('/mix/')) {
+    return;
+  }
+  const session = nms.getSession(id);
+  notify('ingest.publish', { streamPath: StreamPath, ip: session ? session.ip : null },
+    `An encoder started publishing to ${StreamPath}`);
+  if (StreamPath === getInputStreamPath()) {
+    handleInputPublished();
+  }
 });
 
 nms.on('donePublish', (id, StreamPath, args) => {
   console.log('[NodeMediaServer] Stream ended:', StreamPath);
+  if (StreamPath.startsWith('/mix/')) {
+    return;
+  }
+  notify('ingest.unpublish', { streamPath: StreamPath }, `The encoder stopped publishing to ${StreamPath}`);
+  if (StreamPath === getInputStreamPath()) {
+    handleInputUnpublished();
+  }
 });
 
 // Start RTMP server
@@ -321,41 +2021,423 @@ nms.run();
 console.log(`RTMP Server listening on port ${RTMP_PORT}`);
 console.log(`Send your stream to: rtmp://localhost:${RTMP_PORT}/live/stream`);
 
-// WebSocket for real-time status updates
+scheduler.start();
+
+const recordingGuard = setInterval(() => {
+  queuePipelineTask(checkRecordingSpace).catch(error => {
+    console.error('[Recording] Disk space check failed:', error.message);
+  });
+}, RECORDING_SPACE_CHECK_MS);
+
+// WebSocket for real-time status updates and control
 const server = app.listen(PORT, () => {
   console.log(`Web server running on http://localhost:${PORT}`);
   console.log(`Dashboard available at http://localhost:${PORT}`);
 });
 
-const wss = new WebSocket.Server({ server });
+// Upgrades need a logged-in session (cookie or Bearer token), like the API
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: (info) => !!getRequestUser(info.req)
+});
+
+// Versions of the WebSocket protocol. Version 1 clients (any client that
+// doesn't say hello) get the whole status every 2 seconds. Version 2 clients
+// start with { type: 'hello', protocol: 2 }; they get the state once, then
+// only what changed and the pipeline events, and can send commands.
+const PROTOCOL_VERSIONS = [1, 2];
+
+// Status messages only admins get
+const ADMIN_MESSAGES = ['ingestStatus'];
+
+// The state version 2 clients follow, as the messages they get
+function getStatusMessages() {
+  return [
+    { type: 'status', data: getMainStatus() },
+    { type: 'ingestStatus', data: getIngestStatus() },
+    ...getChannelIds().map(id => ({ type: 'channelStatus', channelId: id, data: getChannelStatus(id) }))
+  ];
+}
+
+const statusFeed = new StatusFeed(getStatusMessages);
+
+// A failed command's error, with details for the acknowledgement
+function commandError(message, result) {
+  const error = new Error(message);
+  error.result = result;
+  return error;
+}
+
+function requireCommandChannel(channelId) {
+  if (!channelExists(channelId)) {
+    throw commandError('Channel not found');
+  }
+  return channelId;
+}
+
+// Commands of protocol version 2 that act on the pipeline, sent as
+// { type: 'command', id, command, channelId, params }. run() resolves with
+// the result for the acknowledgement or throws. Without a channelId, start
+// and stop act on the whole pipeline like /api/start and /api/stop.
+const PIPELINE_COMMANDS = {
+  start: {
+    role: 'operator',
+    run: async ({ channelId }) => {
+      if (!channelId) {
+        const results = await queuePipelineTask(startPipeline);
+        const main = results[MAIN_CHANNEL_ID];
+        if (!main.success) {
+          throw commandError(main.error, { browserActions: main.browserActions, channels: results });
+        }
+        return { hasBrowserAudio: main.hasBrowserAudio, destinations: main.destinations, channels: results };
+      }
+
+      const settings = getChannelSettings(requireCommandChannel(channelId));
+      try {
+        return await getChannel(channelId).start({ ...settings, recording: getRecordingOptions(channelId) });
+      } catch (error) {
+        throw commandError(error.message, { browserActions: error.actionReport });
+      }
+    }
+  },
+  stop: {
+    role: 'operator',
+    run: async ({ channelId }) => {
+      if (!channelId) {
+        await queuePipelineTask(stopPipeline);
+      } else {
+        await getChannel(requireCommandChannel(channelId)).stop();
+      }
+      return {};
+    }
+  },
+  // params: any of the volume, delay, ducking and silence settings
+  setLevels: {
+    role: 'operator',
+    run: async ({ channelId = MAIN_CHANNEL_ID, params }) => {
+      requireCommandChannel(channelId);
+      const { settings, errors } = validateSettings(params, LEVEL_FIELDS);
+      if (errors.length > 0) {
+        throw commandError(errors.join('; '), { errors: errors });
+      }
+      return applyVolumes(channelId, settings);
+    }
+  },
+  // params: { actions: [...] }, like /api/browser/action
+  runActions: {
+    role: 'admin',
+    run: async ({ channelId = MAIN_CHANNEL_ID, params }) => {
+      requireCommandChannel(channelId);
+      const actions = params && Array.isArray(params.actions) ? params.actions : [];
+      const errors = actions.length > 0 ? validateActions(actions, 'actions') : ['actions must be a list of browser automation steps'];
+      if (errors.length > 0) {
+        throw commandError(errors.join('; '), { errors: errors });
+      }
+      const report = await getChannel(channelId).browserAudio.runActions(actions);
+      if (!report.success) {
+        throw commandError(report.error, { report: report });
+      }
+      return { report: report };
+    }
+  }
+};
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('WebSocket client connected');
+  const token = getRequestToken(req);
+  const user = getRequestUser(req);
+  const isAdmin = hasRole(user, 'admin');
+  let protocol = 1;
 
-  // Send status updates every 2 seconds
-  const statusInterval = setInterval(() => {
+  function send(message) {
     if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Version 1: status updates every 2 seconds, the overall status of the
+  // main channel, then one message per channel
+  const statusInterval = setInterval(() => {
+    // Close the socket once its session was logged out or expired
+    if (!sessions.get(token)) {
+      ws.close(4001, 'Session ended');
+      return;
+    }
+
+    if (protocol === 1 && ws.readyState === WebSocket.OPEN) {
+      send({
         type: 'status',
-        data: {
-          browser: browserAudio.getStatus(),
-          mixer: mixer.getStatus()
-        }
-      }));
+        data: { ...getMainStatus(), ingest: isAdmin ? getIngestStatus() : undefined }
+      });
+
+      getChannelIds().forEach(id => {
+        send({
+          type: 'channelStatus',
+          channelId: id,
+          data: getChannelStatus(id)
+        });
+      });
     }
   }, 2000);
 
+  // Meter readings at a meter-friendly ~10Hz, for running channels with
+  // readings newer than the last ones sent
+  const levelsSent = new Map();
+  const levelsInterval = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    channels.forEach((channel, id) => {
+      const levels = channel.getLevels();
+      if (!channel.isRunning || !levels.updatedAt || levels.updatedAt === levelsSent.get(id)) {
+        return;
+      }
+      levelsSent.set(id, levels.updatedAt);
+      send({
+        type: 'levels',
+        channelId: id,
+        data: levels
+      });
+    });
+  }, 100);
+
+  // Version 2: changes of the state, as the status feed finds them
+  let unsubscribeFeed = null;
+
+  function sendChange(message) {
+    if (ADMIN_MESSAGES.includes(message.type) && !isAdmin) {
+      return;
+    }
+    if (message.type === 'removed') {
+      if (message.topic === 'channelStatus') {
+        send({ type: 'channelRemoved', channelId: message.channelId });
+      }
+      return;
+    }
+    send(message);
+  }
+
+  function hello(message) {
+    if (!PROTOCOL_VERSIONS.includes(message.protocol)) {
+      send({ type: 'error', error: `Unsupported protocol version ${JSON.stringify(message.protocol)}`, protocols: PROTOCOL_VERSIONS });
+      return;
+    }
+
+    protocol = message.protocol;
+    send({
+      type: 'welcome',
+      protocol: protocol,
+      protocols: PROTOCOL_VERSIONS,
+      user: { username: user.username, role: user.role },
+      commands: protocol >= 2 ? Object.keys(commands) : []
+    });
+    if (protocol >= 2 && !unsubscribeFeed) {
+      unsubscribeFeed = statusFeed.subscribe(sendChange);
+      statusFeed.getState().forEach(sendChange);
+      eventClients.add(send);
+    } else if (protocol < 2 && unsubscribeFeed) {
+      unsubscribeFeed();
+      unsubscribeFeed = null;
+      eventClients.delete(send);
+    }
+  }
+
+  // Browser previews this client watches: channel id -> remove function
+  const previews = new Map();
+
+  function sendPreviewFrame(channelId, frame) {
+    // Skip frames a slow client hasn't caught up with; the next one replaces them
+    if (ws.readyState === WebSocket.OPEN && ws.bufferedAmount < PREVIEW_MAX_BUFFERED_BYTES) {
+      ws.send(JSON.stringify({ type: 'previewFrame', channelId: channelId, data: frame }));
+    }
+  }
+
+  function setPreview(channelId, enabled) {
+    if (enabled && !previews.has(channelId)) {
+      previews.set(channelId, getChannel(channelId).browserAudio.addPreviewViewer(frame => sendPreviewFrame(channelId, frame)));
+    } else if (!enabled && previews.has(channelId)) {
+      previews.get(channelId)();
+      previews.delete(channelId);
+    }
+  }
+
+  // Event log entries this client follows, or null
+  let logListener = null;
+
+  function stopLogTail() {
+    if (logListener) {
+      eventLog.off('entry', logListener);
+      logListener = null;
+    }
+  }
+
+  // Follow the event log with a filter as for /api/logs. Returns the
+  // filter's errors, if any.
+  function followLogs(enabled, filterInput) {
+    stopLogTail();
+    if (!enabled) {
+      return [];
+    }
+    const { filter, errors } = parseLogFilter(filterInput || {});
+    if (errors.length > 0) {
+      return errors;
+    }
+    // Entries a slow client can't keep up with are skipped; it can catch
+    // up through /api/logs?after=
+    logListener = entry => {
+      if (ws.readyState === WebSocket.OPEN && ws.bufferedAmount < LOG_MAX_BUFFERED_BYTES && eventLog.matches(entry, filter)) {
+        ws.send(JSON.stringify({ type: 'log', entry: entry }));
+      }
+    };
+    eventLog.on('entry', logListener);
+    return [];
+  }
+
+  // The pipeline commands plus the ones about this connection
+  const commands = {
+    ...PIPELINE_COMMANDS,
+    // params: { enabled }; frames come as previewFrame messages
+    preview: {
+      role: 'operator',
+      run: async ({ channelId = MAIN_CHANNEL_ID, params }) => {
+        setPreview(requireCommandChannel(channelId), !!(params && params.enabled));
+        return {};
+      }
+    },
+    // params: { input }, a click, type, press or scroll on the previewed page
+    previewInput: {
+      role: 'admin',
+      run: async ({ channelId = MAIN_CHANNEL_ID, params }) => {
+        const { step, report } = await getChannel(requireCommandChannel(channelId)).browserAudio.runPreviewInput(params && params.input);
+        if (!report.success) {
+          throw commandError(report.error, { step: step });
+        }
+        return { step: step };
+      }
+    },
+    // params: { enabled, filter }; entries come as log messages
+    logs: {
+      role: 'admin',
+      run: async ({ params = {} }) => {
+        const errors = followLogs(params.enabled, params.filter);
+        if (errors.length > 0) {
+          throw commandError(errors.join('; '), { errors: errors });
+        }
+        return {};
+      }
+    }
+  };
+
+  // Run a command and acknowledge it with its id: { type: 'ack', id,
+  // success, error, result }
+  async function runCommand(message) {
+    const ack = result => send({ type: 'ack', id: message.id, command: message.command, ...result });
+    const command = Object.prototype.hasOwnProperty.call(commands, message.command) ? commands[message.command] : null;
+    if (protocol < 2) {
+      return ack({ success: false, error: 'Commands need protocol version 2; send hello first' });
+    }
+    if ((typeof message.id !== 'string' && typeof message.id !== 'number') || String(message.id).length > 100) {
+      return ack({ success: false, error: 'A command needs an id (a string or number)' });
+    }
+    if (!command) {
+      return ack({ success: false, error: `Unknown command ${JSON.stringify(message.command)}` });
+    }
+    if (!hasRole(user, command.role)) {
+      return ack({ success: false, error: `The ${command.role} role is required` });
+    }
+
+    try {
+      const result = await command.run({ channelId: message.channelId, params: message.params });
+      ack({ success: true, result: result });
+    } catch (error) {
+      ack({ success: false, error: error.message, result: error.result });
+    }
+    // Every client sees what the command changed right away
+    statusFeed.checkNow();
+  }
+
+  // Messages from the dashboard:
+  //   { type: 'hello', protocol }  pick the protocol version (see PROTOCOL_VERSIONS)
+  //   { type: 'command', id, command, channelId, params }  run a command (version 2)
+  // and, in any version:
+  //   { type: 'preview', channelId, enabled }  watch a channel's browser or stop
+  //   { type: 'previewInput', channelId, input }  click/type/press/scroll on it (admin)
+  //   { type: 'logs', enabled, filter }  follow the event log (filter as for /api/logs) or stop (admin)
+  ws.on('message', async (raw) => {
+    if (!sessions.get(token)) {
+      ws.close(4001, 'Session ended');
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return;
+    }
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    if (message.type === 'hello') {
+      hello(message);
+      return;
+    }
+    if (message.type === 'command') {
+      await runCommand(message);
+      return;
+    }
+
+    const channelId = message.channelId || MAIN_CHANNEL_ID;
+    if (!getChannelIds().includes(channelId)) {
+      send({ type: message.type, channelId: channelId, success: false, error: 'Channel not found' });
+      return;
+    }
+
+    if (message.type === 'preview') {
+      setPreview(channelId, message.enabled);
+    } else if (message.type === 'logs') {
+      const errors = isAdmin ? followLogs(message.enabled, message.filter) : ['The admin role is required'];
+      if (errors.length > 0) {
+        send({ type: 'logs', success: false, error: errors.join('; ') });
+      }
+    } else if (message.type === 'previewInput') {
+      let result;
+      if (!isAdmin) {
+        result = { success: false, error: 'The admin role is required' };
+      } else {
+        try {
+          const { step, report } = await getChannel(channelId).browserAudio.runPreviewInput(message.input);
+          result = { success: report.success, error: report.error || undefined, step: step };
+        } catch (error) {
+          result = { success: false, error: error.message };
+        }
+      }
+      send({ type: 'previewInput', channelId: channelId, ...result });
+    }
+  });
+
   ws.on('close', () => {
     console.log('WebSocket client disconnected');
     clearInterval(statusInterval);
+    clearInterval(levelsInterval);
+    if (unsubscribeFeed) {
+      unsubscribeFeed();
+    }
+    eventClients.delete(send);
+    previews.forEach(remove => remove());
+    stopLogTail();
   });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
-  await mixer.stop();
-  await browserAudio.cleanup();
+  scheduler.stop();
+  clearInterval(recordingGuard);
+  await stopPipeline();
+  webhooks.stop();
   nms.stop();
   server.close(() => {
     console.log('Server closed');
@@ -365,8 +2447,10 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
-  await mixer.stop();
-  await browserAudio.cleanup();
+  scheduler.stop();
+  clearInterval(recordingGuard);
+  await stopPipeline();
+  webhooks.stop();
   nms.stop();
   server.close(() => {
     console.log('Server closed');
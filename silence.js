@@ -0,0 +1,76 @@
+const SILENCE_DEFAULTS = {
+  enabled: true,
+  threshold: -50,  // dB RMS, anything below counts as silence
+  duration: 10     // seconds of silence before it is reported
+};
+
+// A silent source is back once it has been audible this long, with gaps
+// (pauses between words) of at most RECOVERY_GAP_MS
+const RECOVERY_MS = 1500;
+const RECOVERY_GAP_MS = 500;
+
+// Follows the RMS readings of one audio source and tells when it went
+// silent (below the threshold for the duration) and when it is back
+class SilenceTracker {
+  constructor(options = {}) {
+    this.threshold = SILENCE_DEFAULTS.threshold;
+    this.duration = SILENCE_DEFAULTS.duration;
+    this.configure(options);
+    this.reset();
+  }
+
+  configure(options = {}) {
+    if (options.threshold !== undefined) {
+      this.threshold = options.threshold;
+    }
+    if (options.duration !== undefined) {
+      this.duration = options.duration;
+    }
+  }
+
+  reset() {
+    this.silent = false;
+    this.silentSince = null;
+    this.quietSince = null;
+    this.loudSince = null;
+    this.lastLoudAt = null;
+  }
+
+  // Take a reading (dB, at time now in ms). Returns 'silence' or 'restored'
+  // when the state changed, null otherwise.
+  update(level, now) {
+    if (level >= this.threshold) {
+      this.quietSince = null;
+      if (!this.loudSince || now - this.lastLoudAt > RECOVERY_GAP_MS) {
+        this.loudSince = now;
+      }
+      this.lastLoudAt = now;
+
+      if (this.silent && now - this.loudSince >= RECOVERY_MS) {
+        this.silent = false;
+        return 'restored';
+      }
+      return null;
+    }
+
+    if (this.quietSince === null) {
+      this.quietSince = now;
+    }
+    if (!this.silent && now - this.quietSince >= this.duration * 1000) {
+      this.silent = true;
+      this.silentSince = this.quietSince;
+      return 'silence';
+    }
+    return null;
+  }
+
+  getStatus() {
+    return {
+      silent: this.silent,
+      silentSince: this.silent ? new Date(this.silentSince).toISOString() : null
+    };
+  }
+}
+
+module.exports = SilenceTracker;
+module.exports.SILENCE_DEFAULTS = SILENCE_DEFAULTS;
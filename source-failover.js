@@ -0,0 +1,169 @@
+const EventEmitter = require('events');
+const SilenceTracker = require('./silence');
+
+const EVENT_HISTORY = 20;
+const CHECK_INTERVAL_MS = 500;
+
+// A source without meter readings this long has stopped delivering (its
+// input ended or hangs). Right after the start the inputs get longer.
+const STALL_MS = 3000;
+const STARTUP_GRACE_MS = 10000;
+
+// A source earlier in the chain has to be healthy this long before the mix
+// switches back to it, so a flapping source doesn't bounce the audio
+const RETURN_AFTER_MS = 5000;
+
+// Picks the audible source of a failover chain: the first source in the
+// list that is healthy. A source is healthy while it delivers audio, that
+// audio isn't silent (its own threshold and duration, see SilenceTracker)
+// and nothing blocks it, like an unhealthy browser page. Levels come from
+// the mixer's per-source meters.
+//
+// Events: 'switch' ({ from, to, reason }), with from and to source indexes
+class SourceFailover extends EventEmitter {
+  constructor() {
+    super();
+    this.sources = [];
+    this.active = 0;
+    this.timer = null;
+    this.startedAt = null;
+    this.switches = 0;
+    this.events = [];
+  }
+
+  // sources: [{ name, type, threshold, duration }], where threshold and
+  // duration default to the silence options
+  start(sources, silence = {}) {
+    this.stop();
+    this.startedAt = Date.now();
+    this.active = 0;
+    this.switches = 0;
+    this.events = [];
+    this.silence = silence;
+    this.sources = sources.map(source => ({
+      name: source.name,
+      type: source.type,
+      overrides: { threshold: source.threshold, duration: source.duration },
+      tracker: new SilenceTracker(),
+      lastLevelAt: null,
+      healthySince: null,
+      blocked: null,
+      problem: null
+    }));
+    this.configure(silence);
+    this.timer = setInterval(() => this.evaluate(Date.now()), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.sources = [];
+  }
+
+  // New channel silence options; per-source settings still win
+  configure(silence = {}) {
+    this.silence = { ...this.silence, ...silence };
+    this.sources.forEach(source => {
+      source.tracker.configure({
+        threshold: source.overrides.threshold !== undefined ? source.overrides.threshold : this.silence.threshold,
+        duration: source.overrides.duration !== undefined ? source.overrides.duration : this.silence.duration
+      });
+    });
+  }
+
+  // An RMS reading (dB) of source index at time now (ms)
+  level(index, level, now) {
+    const source = this.sources[index];
+    if (!source) {
+      return;
+    }
+    source.lastLevelAt = now;
+    source.tracker.update(level, now);
+  }
+
+  // Mark the sources of a type (e.g. 'browser') unhealthy for a reason, or
+  // healthy again with null
+  setBlocked(type, reason) {
+    this.sources
+      .filter(source => source.type === type)
+      .forEach(source => {
+        source.blocked = reason;
+      });
+    if (this.timer) {
+      this.evaluate(Date.now());
+    }
+  }
+
+  record(type, message) {
+    this.events.push({ at: new Date().toISOString(), type: type, message: message });
+    if (this.events.length > EVENT_HISTORY) {
+      this.events.shift();
+    }
+  }
+
+  // Why a source isn't healthy, or null when it is
+  problem(source, now) {
+    if (source.blocked) {
+      return source.blocked;
+    }
+    if (source.lastLevelAt === null) {
+      return now - this.startedAt > STARTUP_GRACE_MS ? 'No audio received' : 'Starting';
+    }
+    if (now - source.lastLevelAt > STALL_MS) {
+      return 'No audio received';
+    }
+    if (source.tracker.silent) {
+      return 'Silent';
+    }
+    return null;
+  }
+
+  evaluate(now) {
+    this.sources.forEach(source => {
+      source.problem = this.problem(source, now);
+      if (source.problem) {
+        source.healthySince = null;
+      } else if (source.healthySince === null) {
+        source.healthySince = now;
+      }
+    });
+
+    // Sources after the active one take over at once, earlier ones only
+    // once they have stayed healthy. Without any healthy source the active
+    // one stays.
+    const target = this.sources.findIndex((source, index) => !source.problem &&
+      (index >= this.active || now - source.healthySince >= RETURN_AFTER_MS));
+    if (target === -1 || target === this.active) {
+      return;
+    }
+
+    const from = this.active;
+    const reason = target > from ? this.sources[from].problem : `${this.sources[target].name} is healthy again`;
+    const message = `Switched from ${this.sources[from].name} to ${this.sources[target].name}: ${reason}`;
+    console.warn(`[Failover] ${message}`);
+    this.active = target;
+    this.switches++;
+    this.record('switch', message);
+    this.emit('switch', { from: from, to: target, reason: reason });
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      enabled: this.sources.length > 0,
+      active: this.sources.length > 0 ? this.active : null,
+      sources: this.sources.map(source => ({
+        name: source.name,
+        type: source.type,
+        healthy: !source.problem,
+        problem: source.problem,
+        lastLevelAt: source.lastLevelAt ? new Date(source.lastLevelAt).toISOString() : null,
+        healthyFor: source.healthySince !== null ? Math.round((now - source.healthySince) / 1000) : null
+      })),
+      switches: this.switches,
+      events: this.events
+    };
+  }
+}
+
+module.exports = SourceFailover;
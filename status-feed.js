@@ -0,0 +1,89 @@
+// How often the state is looked at for changes
+const CHECK_INTERVAL_MS = 250;
+
+// Counters that move all the time while streaming (encoder stats, check
+// times, free disk space) aren't a change on their own; they go out with
+// the next change, or this often
+const REFRESH_INTERVAL_MS = 2000;
+const VOLATILE_KEYS = new Set(['stats', 'lastCheckAt', 'lastLevelAt', 'healthyFor', 'freeBytes']);
+
+function stateKey(data) {
+  return JSON.stringify(data, (key, value) => (VOLATILE_KEYS.has(key) ? undefined : value));
+}
+
+// Turns polled status into change events for WebSocket clients. snapshot()
+// returns the current state as messages ({ type, channelId, data }); a
+// message goes to the subscribers only when its data changed since the
+// last time, and a { type: 'removed', topic } message when it disappears.
+// Polling only runs while someone is subscribed.
+class StatusFeed {
+  constructor(snapshot) {
+    this.snapshot = snapshot;
+    this.subscribers = new Set();
+    this.last = new Map();
+    this.timer = null;
+  }
+
+  static topic(message) {
+    return message.channelId ? `${message.type}:${message.channelId}` : message.type;
+  }
+
+  // send(message) gets every change from now on. Returns the function that
+  // unsubscribes. The state so far is in getState().
+  subscribe(send) {
+    if (!this.timer) {
+      this.last.clear();
+      this.check(Date.now());
+      this.timer = setInterval(() => this.check(Date.now()), CHECK_INTERVAL_MS);
+    }
+    this.subscribers.add(send);
+    return () => {
+      if (this.subscribers.delete(send) && this.subscribers.size === 0) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    };
+  }
+
+  // The latest state of every topic, for a client that just subscribed
+  getState() {
+    return Array.from(this.last.values()).map(entry => entry.message);
+  }
+
+  // Look for changes right away, e.g. after a command, rather than at the
+  // next check
+  checkNow() {
+    if (this.timer) {
+      this.check(Date.now());
+    }
+  }
+
+  check(now) {
+    const seen = new Set();
+    this.snapshot().forEach(message => {
+      const topic = StatusFeed.topic(message);
+      seen.add(topic);
+
+      const key = stateKey(message.data);
+      const previous = this.last.get(topic);
+      if (previous && previous.key === key &&
+          (now - previous.sentAt < REFRESH_INTERVAL_MS || JSON.stringify(message.data) === previous.json)) {
+        return;
+      }
+      this.last.set(topic, { key: key, json: JSON.stringify(message.data), sentAt: now, message: message });
+      this.publish(message);
+    });
+
+    Array.from(this.last.keys()).filter(topic => !seen.has(topic)).forEach(topic => {
+      const { message } = this.last.get(topic);
+      this.last.delete(topic);
+      this.publish({ type: 'removed', topic: message.type, channelId: message.channelId });
+    });
+  }
+
+  publish(message) {
+    this.subscribers.forEach(send => send(message));
+  }
+}
+
+module.exports = StatusFeed;
@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const { redact } = require('./secrets');
+
+const STDERR_LINES = 20;
+
+// Restarts a failed FFmpeg process with exponential backoff. The owner reports
+// starts and failures; the supervisor decides when (and whether) to call the
+// restart function again.
+//
+// Events: 'failure' ({ error, willRestart }) for every failure, 'restart'
+// ({ attempt, delay, error }) and 'gaveUp' ({ attempts, error })
+class ProcessSupervisor extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.maxRetries = 10;
+    this.baseDelayMs = 2000;
+    this.maxDelayMs = 60000;
+    // A process that stays up this long counts as healthy again
+    this.stableAfterMs = 60000;
+    this.configure(options);
+
+    this.restartCount = 0;
+    this.attempt = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.lastStderr = [];
+    this.nextRetryAt = null;
+    this.gaveUp = false;
+    this.retryTimer = null;
+    this.stableTimer = null;
+  }
+
+  configure(options = {}) {
+    if (options.maxRetries !== undefined) {
+      this.maxRetries = options.maxRetries;
+    }
+    if (options.baseDelayMs !== undefined) {
+      this.baseDelayMs = options.baseDelayMs;
+    }
+    if (options.maxDelayMs !== undefined) {
+      this.maxDelayMs = options.maxDelayMs;
+    }
+    if (options.stableAfterMs !== undefined) {
+      this.stableAfterMs = options.stableAfterMs;
+    }
+  }
+
+  // A manual start begins a fresh session
+  reset() {
+    this.cancel();
+    this.restartCount = 0;
+    this.attempt = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.lastStderr = [];
+    this.gaveUp = false;
+  }
+
+  recordStarted() {
+    clearTimeout(this.stableTimer);
+    this.stableTimer = setTimeout(() => {
+      this.attempt = 0;
+    }, this.stableAfterMs);
+  }
+
+  recordFailure(error, stderrLines, restart) {
+    clearTimeout(this.stableTimer);
+    clearTimeout(this.retryTimer);
+
+    this.lastError = redact(error.message);
+    this.lastErrorAt = new Date().toISOString();
+    if (stderrLines && stderrLines.length > 0) {
+      this.lastStderr = stderrLines.slice(-STDERR_LINES);
+    }
+    this.emit('failure', { error: this.lastError, willRestart: this.attempt < this.maxRetries });
+
+    if (this.attempt >= this.maxRetries) {
+      console.error(`[Supervisor ${this.name}] Giving up after ${this.attempt} restart attempts`);
+      this.gaveUp = true;
+      this.nextRetryAt = null;
+      this.emit('gaveUp', { attempts: this.attempt, error: this.lastError });
+      return;
+    }
+
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, this.attempt), this.maxDelayMs);
+    this.attempt++;
+    this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    console.warn(`[Supervisor ${this.name}] Restarting in ${delay}ms (attempt ${this.attempt}/${this.maxRetries})`);
+
+    this.retryTimer = setTimeout(async () => {
+      this.retryTimer = null;
+      this.nextRetryAt = null;
+      this.restartCount++;
+      this.emit('restart', { attempt: this.attempt, delay: delay, error: this.lastError });
+
+      try {
+        await restart();
+      } catch (restartError) {
+        this.recordFailure(restartError, [], restart);
+      }
+    }, delay);
+  }
+
+  // Called on an intentional stop so no restart is pending
+  cancel() {
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.stableTimer);
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+  }
+
+  get isRetrying() {
+    return !!this.retryTimer;
+  }
+
+  getStatus() {
+    return {
+      restartCount: this.restartCount,
+      attempt: this.attempt,
+      maxRetries: this.maxRetries,
+      isRetrying: this.isRetrying,
+      nextRetryAt: this.nextRetryAt,
+      gaveUp: this.gaveUp,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      lastStderr: this.lastStderr
+    };
+  }
+}
+
+// Keeps the last lines of FFmpeg stderr, skipping the progress lines. They
+// end up in API responses, so secrets (stream keys in URLs) are redacted.
+// Returns whether the line was kept.
+function appendStderrLine(lines, line) {
+  if (/^\s*(frame|size)=/.test(line)) {
+    return false;
+  }
+  lines.push(redact(line));
+  if (lines.length > STDERR_LINES) {
+    lines.shift();
+  }
+  return true;
+}
+
+module.exports = ProcessSupervisor;
+module.exports.appendStderrLine = appendStderrLine;
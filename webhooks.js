@@ -0,0 +1,275 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Events a webhook can subscribe to. A webhook without events gets all of them.
+const WEBHOOK_EVENTS = [
+  'stream.started',
+  'stream.stopped',
+  'ffmpeg.error',
+  'ffmpeg.restart',
+  'ingest.publish',
+  'ingest.unpublish',
+  'browser.actionsFailed',
+  'audio.silence',
+  'audio.restored'
+];
+
+const FORMATS = ['json', 'slack', 'teams'];
+
+const DELIVERY_HISTORY = 100;
+
+// A failed delivery is retried with exponential backoff (2s, 4s, 8s, 16s)
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Responses worth another attempt; any other error status means the request
+// itself is wrong and would fail again
+function isRetryable(statusCode) {
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// HMAC-SHA256 of "<timestamp>.<body>", so a receiver can check both the
+// sender and that the delivery isn't replayed later
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// JSON deliveries carry the event and its data; Slack and Teams incoming
+// webhooks only take a text message
+function deliveryBody(format, delivery, data) {
+  if (format === 'slack' || format === 'teams') {
+    return JSON.stringify({ text: `[Translation Mixer] ${delivery.message}` });
+  }
+  return JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    at: delivery.createdAt,
+    message: delivery.message,
+    data: data
+  });
+}
+
+function normalizeWebhook(fields) {
+  const webhook = {
+    name: String(fields.name || '').trim() || 'Webhook',
+    url: fields.url,
+    events: fields.events || [],
+    secret: fields.secret || '',
+    format: FORMATS.includes(fields.format) ? fields.format : 'json',
+    enabled: fields.enabled !== false
+  };
+  if (!webhook.url) {
+    throw new Error('A webhook needs a url');
+  }
+  return webhook;
+}
+
+// Outgoing notifications of pipeline events. Each matching webhook gets a
+// POST per event, signed with its secret (X-Webhook-Signature) when it has
+// one. Deliveries are retried and the recent ones kept for the dashboard.
+class WebhookStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.webhooks = [];
+    this.deliveries = [];
+    this.retryTimers = new Set();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.webhooks = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading webhooks:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.webhooks, null, 2));
+    } catch (error) {
+      console.error('Error saving webhooks:', error.message);
+    }
+  }
+
+  find(id) {
+    return this.webhooks.find(w => w.id === id);
+  }
+
+  create(fields) {
+    const now = new Date().toISOString();
+    const webhook = {
+      id: crypto.randomUUID(),
+      ...normalizeWebhook(fields),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.webhooks.push(webhook);
+    this.save();
+    return webhook;
+  }
+
+  // An omitted secret stays as it is; an empty one removes it
+  update(id, changes) {
+    const webhook = this.find(id);
+    if (!webhook) {
+      return null;
+    }
+
+    Object.assign(webhook, normalizeWebhook({ ...webhook, ...changes }), { updatedAt: new Date().toISOString() });
+    this.save();
+    return webhook;
+  }
+
+  remove(id) {
+    if (!this.find(id)) {
+      return false;
+    }
+    this.webhooks = this.webhooks.filter(w => w.id !== id);
+    this.save();
+    return true;
+  }
+
+  subscribes(webhook, event) {
+    return webhook.enabled && (webhook.events.length === 0 || webhook.events.includes(event));
+  }
+
+  // Notify every webhook subscribed to the event. message is a one-line
+  // description for people (and chat formats), data the details.
+  emit(event, data, message) {
+    this.webhooks
+      .filter(webhook => this.subscribes(webhook, event))
+      .forEach(webhook => {
+        this.deliver(webhook, event, data, message).catch(error => {
+          console.error(`[Webhooks] Delivery to ${webhook.name} failed:`, error.message);
+        });
+      });
+  }
+
+  // Send a test event to one webhook, whatever it subscribes to. Resolves
+  // with the delivery after its first attempt, or null for an unknown id.
+  async test(id) {
+    const webhook = this.find(id);
+    if (!webhook) {
+      return null;
+    }
+    return this.deliver(webhook, 'test', {}, `Test notification for ${webhook.name}`);
+  }
+
+  // Resolves with the delivery once the first attempt is done; retries go
+  // on in the background
+  async deliver(webhook, event, data, message) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      event: event,
+      message: message,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      attempts: 0,
+      statusCode: null,
+      error: null,
+      nextAttemptAt: null,
+      deliveredAt: null
+    };
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > DELIVERY_HISTORY) {
+      this.deliveries.shift();
+    }
+
+    await this.attempt(delivery, data);
+    return delivery;
+  }
+
+  async attempt(delivery, data) {
+    // The webhook may have been changed or removed since the event
+    const webhook = this.find(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.error = 'The webhook was removed';
+      return;
+    }
+
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+    const body = deliveryBody(webhook.format, delivery, data);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'translation-mixer-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (webhook.secret) {
+      headers['X-Webhook-Signature'] = `sha256=${sign(webhook.secret, timestamp, body)}`;
+    }
+
+    let retryable = true;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: headers,
+        body: body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      // Only the status matters
+      if (response.body) {
+        await response.body.cancel();
+      }
+
+      delivery.statusCode = response.status;
+      if (response.ok) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        delivery.deliveredAt = new Date().toISOString();
+        return;
+      }
+      delivery.error = `HTTP ${response.status}`;
+      retryable = isRetryable(response.status);
+    } catch (error) {
+      delivery.statusCode = null;
+      delivery.error = error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS}ms` : error.message;
+    }
+
+    if (!retryable || delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      console.warn(`[Webhooks] Giving up on ${delivery.event} for ${webhook.name} after ${delivery.attempts} attempt(s): ${delivery.error}`);
+      return;
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.attempt(delivery, data).catch(error => {
+        console.error(`[Webhooks] Retry of ${delivery.event} failed:`, error.message);
+      });
+    }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  // Recent deliveries, newest first, optionally of one webhook
+  getDeliveries(webhookId) {
+    return this.deliveries
+      .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+      .slice()
+      .reverse();
+  }
+
+  // Pending retries are dropped, e.g. on shutdown
+  stop() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+}
+
+module.exports = WebhookStore;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.sign = sign;